@@ -1,14 +1,31 @@
 import React from 'react';
 
-const LoadingSpinner = ({ recordCount = null, progress = null }) => {
+const STEPS = [
+  { label: 'Fetching transaction data', stage: 'fetch' },
+  { label: 'Processing wallet connections', stage: 'fetch' },
+  { label: 'Identifying entities and tokens', stage: 'enrich' },
+];
+
+const STAGE_ORDER = ['fetch', 'enrich'];
+
+const LoadingSpinner = ({ recordCount = null, progress = null, stage = null }) => {
+  const getStepClass = (step) => {
+    if (!stage) return 'step';
+    const current = STAGE_ORDER.indexOf(stage);
+    const position = STAGE_ORDER.indexOf(step.stage);
+    if (position < current) return 'step done';
+    if (position === current) return 'step active';
+    return 'step';
+  };
+
   return (
     <div className="loading-container">
       <div className="spinner"></div>
       <p>{progress || 'Analyzing blockchain transactions...'}</p>
       <div className="loading-steps">
-        <div className="step">Fetching transaction data</div>
-        <div className="step">Processing wallet connections</div>
-        <div className="step">Building visualization</div>
+        {STEPS.map(step => (
+          <div key={step.label} className={getStepClass(step)}>{step.label}</div>
+        ))}
       </div>
       
       {recordCount !== null && (
@@ -70,6 +87,19 @@ const LoadingSpinner = ({ recordCount = null, progress = null }) => {
           font-weight: bold;
         }
         
+        .step.active {
+          color: #9333ea;
+          font-weight: 600;
+        }
+        
+        .step.done {
+          opacity: 0.6;
+        }
+        
+        .step.done::before {
+          content: "✓";
+        }
+        
         .record-count {
           margin-top: 20px;
           padding: 12px 20px;
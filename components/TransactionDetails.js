@@ -1,7 +1,47 @@
 import React, { useState } from 'react';
+import { formatSale, formatStakeAction, formatSwapLeg, formatUsd } from './TransactionVisualizer';
+
+// Counterparties listed in the USD totals
+const MAX_COUNTERPARTY_TOTALS = 10;
+
+/**
+ * Badges for a token's program and notable Token-2022 extensions, as
+ * [{ label, title, warning }]. A permanent delegate can take tokens from any
+ * holder, so it is flagged as a warning.
+ */
+function getTokenBadges(tokenMetadata) {
+  if (tokenMetadata?.tokenProgram !== 'spl-token-2022') return [];
+
+  const extensions = tokenMetadata.extensions || {};
+  const badges = [{ label: 'Token-2022', title: 'Issued under the Token Extensions program' }];
+  if (extensions.transferFee) {
+    badges.push({
+      label: `${extensions.transferFee.basisPoints / 100}% transfer fee`,
+      title: 'Part of every transfer is withheld by the mint',
+    });
+  }
+  if (extensions.confidentialTransfer) {
+    badges.push({ label: 'Confidential', title: 'Transfer amounts can be hidden' });
+  }
+  if (extensions.nonTransferable) {
+    badges.push({ label: 'Non-transferable', title: 'Bound to the wallet it was minted to' });
+  }
+  if (extensions.transferHook) {
+    badges.push({ label: 'Transfer hook', title: `Every transfer calls ${extensions.transferHook}` });
+  }
+  if (extensions.permanentDelegate) {
+    badges.push({
+      label: '⚠️ Permanent delegate',
+      title: `${extensions.permanentDelegate} can move or burn this token from any wallet, a common scam vector`,
+      warning: true,
+    });
+  }
+  return badges;
+}
 
 const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilter = 'both' }) => {
   const [activeTab, setActiveTab] = useState('nft');
+  const [errorFilter, setErrorFilter] = useState('all');
 
   if (!data || !data.edges || data.edges.length === 0) {
     return (
@@ -14,6 +54,13 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     );
   }
 
+  // All input wallets (several when comparing wallets)
+  const inputAddresses = new Set([
+    inputAddress,
+    ...data.nodes.filter(node => node.type === 'input').map(node => node.id)
+  ]);
+  const sharedCounterparties = data.sharedCounterparties || [];
+
   // Filter transactions based on traffic filter
   const filterTransactions = (transactions) => {
     if (trafficFilter === 'both') {
@@ -21,8 +68,8 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     }
     
     return transactions.filter(edge => {
-      const isIncoming = edge.target === inputAddress;
-      const isOutgoing = edge.source === inputAddress;
+      const isIncoming = inputAddresses.has(edge.target);
+      const isOutgoing = inputAddresses.has(edge.source);
       
       if (trafficFilter === 'incoming') {
         return isIncoming;
@@ -33,9 +80,37 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     });
   };
 
-  // Separate NFT and SPL token transactions
-  const nftTransactions = filterTransactions(data.edges.filter(edge => edge.type === 'NFT'));
-  const splTransactions = filterTransactions(data.edges.filter(edge => edge.type === 'SPL_TOKEN'));
+  // Separate NFT, SPL token and SOL transactions; swap legs are listed as swaps
+  const transferEdges = data.edges.filter(edge => !edge.swapId);
+  const nftTransactions = filterTransactions(transferEdges.filter(edge => edge.type === 'NFT'));
+  const splTransactions = filterTransactions(transferEdges.filter(edge => edge.type === 'SPL_TOKEN'));
+  const solTransactions = filterTransactions(transferEdges.filter(edge => edge.type === 'SOL'));
+  const stakeTransactions = filterTransactions(transferEdges.filter(edge => edge.type === 'STAKE'));
+
+  // Failed attempts, optionally narrowed to one error reason
+  const allFailedTransactions = filterTransactions(data.edges.filter(edge => edge.type === 'FAILED'));
+  const errorReasons = Array.from(new Set(allFailedTransactions.map(edge => edge.error))).sort();
+  const failedTransactions = errorFilter === 'all'
+    ? allFailedTransactions
+    : allFailedTransactions.filter(edge => edge.error === errorFilter);
+
+  // One entry per swap node with the tokens sold and bought. A swap is both
+  // a send and a receive, so it is shown whatever the traffic filter.
+  const swapNodes = new Map(data.nodes.filter(node => node.type === 'swap').map(node => [node.id, node]));
+  const swaps = Object.values(data.edges.filter(edge => edge.swapId).reduce((groups, edge) => {
+    if (!groups[edge.swapId]) {
+      groups[edge.swapId] = {
+        id: edge.swapId,
+        signature: edge.signature,
+        timestamp: edge.timestamp,
+        node: swapNodes.get(edge.swapId),
+        in: [],
+        out: []
+      };
+    }
+    groups[edge.swapId][edge.swapDirection].push(edge);
+    return groups;
+  }, {}));
 
   // Group transactions by signature to show related transfers
   const groupTransactionsBySignature = (transactions) => {
@@ -65,8 +140,30 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     return Object.values(groups);
   };
 
+  // USD sent to and received from each counterparty of the input wallets,
+  // largest first (only when the server valued the transfers)
+  const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+  const counterpartyTotals = Object.values(filterTransactions(transferEdges)
+    .filter(edge => edge.usdValue !== undefined)
+    .reduce((totals, edge) => {
+      const isOutgoing = inputAddresses.has(edge.source);
+      if (!isOutgoing && !inputAddresses.has(edge.target)) return totals;
+
+      const counterparty = isOutgoing ? edge.target : edge.source;
+      if (!totals[counterparty]) {
+        totals[counterparty] = { address: counterparty, sent: 0, received: 0, transfers: 0 };
+      }
+      totals[counterparty][isOutgoing ? 'sent' : 'received'] += edge.usdValue;
+      totals[counterparty].transfers += 1;
+      return totals;
+    }, {}))
+    .sort((a, b) => (b.sent + b.received) - (a.sent + a.received));
+
   const nftTransactionGroups = groupTransactionsBySignature(nftTransactions);
   const splTransactionGroups = groupTransactionsBySignature(splTransactions);
+  const solTransactionGroups = groupTransactionsBySignature(solTransactions);
+  const stakeTransactionGroups = groupTransactionsBySignature(stakeTransactions);
+  const failedTransactionGroups = groupTransactionsBySignature(failedTransactions);
 
   const formatAddress = (address) => {
     if (!address) return '';
@@ -74,7 +171,7 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
   };
 
   const getDirection = (edge) => {
-    return edge.source === inputAddress ? 'outgoing' : 'incoming';
+    return inputAddresses.has(edge.source) ? 'outgoing' : 'incoming';
   };
 
   const formatAmount = (amount, decimals = 0) => {
@@ -83,11 +180,74 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     return new Intl.NumberFormat().format(num);
   };
 
+  const renderSwap = (swap, swapIndex) => {
+    const dex = swap.node?.swap?.dex;
+    const trader = swap.node?.swap?.trader;
+
+    return (
+      <div key={swap.id} className="transaction-group">
+        <div className="transaction-group-header">
+          <div className="group-info">
+            <span className="transaction-number">#{swapIndex + 1}</span>
+            <span className="header-separator">•</span>
+            <span className="transaction-type swap">SWAP</span>
+            {dex && (
+              <>
+                <span className="header-separator">•</span>
+                <span className="group-indicator">{dex.icon} {dex.name}</span>
+              </>
+            )}
+          </div>
+
+          {swap.signature && (
+            <div className="transaction-signature">
+              <span className="signature-label">Tx:</span>
+              <a 
+                href={`https://solscan.io/tx/${swap.signature}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="signature-link"
+              >
+                {swap.signature.slice(0, 8)}...{swap.signature.slice(-8)}
+              </a>
+            </div>
+          )}
+        </div>
+
+        <div className="transaction-item">
+          <div className="transaction-path">
+            <div className="wallet-address from">
+              <span className="label">Sold:</span>
+              <span className="detail-value amount">{swap.in.map(formatSwapLeg).join(', ')}</span>
+            </div>
+            <div className="arrow">→</div>
+            <div className="wallet-address to">
+              <span className="label">Bought:</span>
+              <span className="detail-value amount">{swap.out.map(formatSwapLeg).join(', ')}</span>
+            </div>
+          </div>
+
+          {trader && (
+            <div className="transaction-details-row">
+              <div className="detail-item">
+                <span className="detail-label">Trader:</span>
+                <span className="detail-value">{formatAddress(trader)}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   const renderTransactionGroup = (group, groupIndex) => {
     const isMultiTransfer = group.transactions.length > 1;
     const firstTx = group.transactions[0];
     const direction = getDirection(firstTx);
     const isNFT = firstTx.type === 'NFT';
+    const isSOL = firstTx.type === 'SOL';
+    const isFailed = firstTx.type === 'FAILED';
+    const isStake = firstTx.type === 'STAKE';
     
     return (
       <div key={group.signature || `group-${groupIndex}`} className="transaction-group">
@@ -139,7 +299,7 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
               <div className="wallet-address from">
                 <span className="label">From:</span>
                 <span className="address">{formatAddress(edge.source)}</span>
-                {edge.source === inputAddress && (
+                {inputAddresses.has(edge.source) && (
                   <span className="badge input">Input Wallet</span>
                 )}
               </div>
@@ -147,23 +307,122 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
               <div className="wallet-address to">
                 <span className="label">To:</span>
                 <span className="address">{formatAddress(edge.target)}</span>
-                {edge.target === inputAddress && (
+                {inputAddresses.has(edge.target) && (
                   <span className="badge input">Input Wallet</span>
                 )}
               </div>
             </div>
             
             <div className="transaction-details-row">
-              {isNFT ? (
+              {isFailed ? (
                 <>
                   <div className="detail-item">
-                    <span className="detail-label">NFT Amount:</span>
-                    <span className="detail-value">1 NFT</span>
+                    <span className="detail-label">Error:</span>
+                    <span className="detail-value error">{edge.error}</span>
+                  </div>
+                  <div className="detail-item">
+                    <span className="detail-label">Program:</span>
+                    <span className="detail-value mint">{edge.programId || 'Unknown'}</span>
                   </div>
+                </>
+              ) : isStake ? (
+                <>
+                  <div className="detail-item">
+                    <span className="detail-label">Action:</span>
+                    <span className="detail-value">{formatStakeAction(edge)}</span>
+                  </div>
+                  <div className="detail-item">
+                    <span className="detail-label">Amount:</span>
+                    <span className="detail-value amount">
+                      {edge.solAmount !== null
+                        ? `${edge.solAmount.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL`
+                        : '—'}
+                    </span>
+                  </div>
+                  {edge.stakeAccount && (
+                    <div className="detail-item">
+                      <span className="detail-label">Stake Account:</span>
+                      <span className="detail-value mint">{edge.stakeAccount}</span>
+                    </div>
+                  )}
+                  {edge.validator && (
+                    <div className="detail-item">
+                      <span className="detail-label">Validator:</span>
+                      <span className="detail-value mint">{edge.validator}</span>
+                    </div>
+                  )}
+                </>
+              ) : isNFT ? (
+                <>
+                  {edge.sale ? (
+                    <>
+                      <div className="detail-item">
+                        <span className="detail-label">Sale:</span>
+                        <span className="detail-value amount">{formatSale(edge.sale)}</span>
+                      </div>
+                      <div className="detail-item">
+                        <span className="detail-label">Seller Received:</span>
+                        <span className="detail-value">{edge.sale.sellerProceeds.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL</span>
+                      </div>
+                      <div className="detail-item">
+                        <span className="detail-label">Marketplace Fee:</span>
+                        <span className="detail-value">{edge.sale.marketplaceFee.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL</span>
+                      </div>
+                      <div className="detail-item">
+                        <span className="detail-label">Royalties:</span>
+                        <span className="detail-value">{edge.sale.royalty.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL</span>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="detail-item">
+                      <span className="detail-label">NFT Amount:</span>
+                      <span className="detail-value">1 NFT</span>
+                    </div>
+                  )}
                   <div className="detail-item">
                     <span className="detail-label">Token Symbol:</span>
                     <span className="detail-value">{edge.tokenSymbol || 'Unknown NFT'}</span>
                   </div>
+                  {edge.compressed && (
+                    <>
+                      <div className="detail-item">
+                        <span className="detail-label">Name:</span>
+                        <span className="detail-value">{edge.tokenName || 'Compressed NFT'}</span>
+                      </div>
+                      {edge.tokenMetadata?.collection && (
+                        <div className="detail-item">
+                          <span className="detail-label">Collection:</span>
+                          <span className="detail-value">
+                            {edge.tokenMetadata.collection.name || formatAddress(edge.tokenMetadata.collection.key)}
+                          </span>
+                        </div>
+                      )}
+                      {edge.tokenLogo && (
+                        <div className="detail-item">
+                          <span className="detail-label">Image:</span>
+                          <a
+                            href={edge.tokenLogo}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="detail-value signature-link"
+                          >
+                            View →
+                          </a>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </>
+              ) : isSOL ? (
+                <>
+                  <div className="detail-item">
+                    <span className="detail-label">Amount:</span>
+                    <span className="detail-value amount">{edge.solAmount?.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL</span>
+                  </div>
+                  <div className="detail-item">
+                    <span className="detail-label">Lamports:</span>
+                    <span className="detail-value">{formatAmount(edge.lamports)}</span>
+                  </div>
                 </>
               ) : (
                 <>
@@ -179,10 +438,51 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
                   </div>
                 </>
               )}
-              <div className="detail-item">
-                <span className="detail-label">Mint Address:</span>
-                <span className="detail-value mint">{edge.mint || 'Unknown'}</span>
-              </div>
+              {edge.transferFee !== undefined && (
+                <div className="detail-item">
+                  <span className="detail-label">Transfer Fee Withheld:</span>
+                  <span className="detail-value">
+                    {edge.transferFee.toLocaleString(undefined, { maximumFractionDigits: edge.decimals })} (received{' '}
+                    {edge.receivedAmount.toLocaleString(undefined, { maximumFractionDigits: edge.decimals })})
+                  </span>
+                </div>
+              )}
+              {getTokenBadges(edge.tokenMetadata).length > 0 && (
+                <div className="detail-item">
+                  <span className="detail-label">Token Program:</span>
+                  <span className="token-badges">
+                    {getTokenBadges(edge.tokenMetadata).map(badge => (
+                      <span
+                        key={badge.label}
+                        className={`badge token-extension ${badge.warning ? 'warning' : ''}`}
+                        title={badge.title}
+                      >
+                        {badge.label}
+                      </span>
+                    ))}
+                  </span>
+                </div>
+              )}
+              {edge.usdValue !== undefined && (
+                <div className="detail-item">
+                  <span className="detail-label">Value:</span>
+                  <span className="detail-value amount">{formatUsd(edge.usdValue)}</span>
+                </div>
+              )}
+              {!isSOL && !isFailed && !isStake && (
+                <div className="detail-item">
+                  <span className="detail-label">{edge.compressed ? 'Asset ID:' : 'Mint Address:'}</span>
+                  <span className="detail-value mint">{edge.mint || edge.assetId || 'Unknown'}</span>
+                </div>
+              )}
+              {(edge.fromTokenAccount || edge.toTokenAccount) && (
+                <div className="detail-item">
+                  <span className="detail-label">Token Accounts:</span>
+                  <span className="detail-value">
+                    {formatAddress(edge.fromTokenAccount) || '—'} → {formatAddress(edge.toTokenAccount) || '—'}
+                  </span>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -194,7 +494,7 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
     <div className={`transaction-details ${isDarkMode ? 'dark' : 'light'}`}>
       <h2>Transaction Path Analysis</h2>
       <p className="section-subtitle">
-        Detailed breakdown of all NFT transfers and SPL token transactions
+        Detailed breakdown of all NFT transfers, SPL token and SOL transactions, and swaps
       </p>
       
       {trafficFilter !== 'both' && (
@@ -206,6 +506,46 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
         </div>
       )}
       
+      {sharedCounterparties.length > 0 && (
+        <div className="shared-counterparties">
+          <h3>Shared Counterparties ({sharedCounterparties.length})</h3>
+          <p className="section-subtitle">
+            Addresses that transacted with two or more of the input wallets
+          </p>
+          {sharedCounterparties.map(entry => (
+            <div key={entry.address} className="shared-item">
+              <span className="address">{formatAddress(entry.address)}</span>
+              <span className="shared-inputs">
+                {entry.inputs.length} wallets: {entry.inputs.map(formatAddress).join(', ')}
+              </span>
+              <span className="shared-transfers">{entry.transfers} transfers</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {counterpartyTotals.length > 0 && (
+        <div className="counterparty-totals">
+          <h3>Value by Counterparty</h3>
+          <p className="section-subtitle">
+            USD value of transfers at the time they happened
+          </p>
+          {counterpartyTotals.slice(0, MAX_COUNTERPARTY_TOTALS).map(entry => {
+            const entity = nodesById.get(entry.address)?.entity;
+            return (
+              <div key={entry.address} className="counterparty-total">
+                <span className="address">
+                  {entity ? `${entity.icon} ${entity.name}` : formatAddress(entry.address)}
+                </span>
+                <span className="total-sent">Sent {formatUsd(entry.sent)}</span>
+                <span className="total-received">Received {formatUsd(entry.received)}</span>
+                <span className="shared-transfers">{entry.transfers} transfers</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       <div className="transaction-tabs">
         <button 
           className={`tab-button ${activeTab === 'nft' ? 'active' : ''}`}
@@ -221,6 +561,34 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           <span className="tab-icon spl"></span>
           SPL Token Transfers ({splTransactions.length})
         </button>
+        <button 
+          className={`tab-button ${activeTab === 'sol' ? 'active' : ''}`}
+          onClick={() => setActiveTab('sol')}
+        >
+          <span className="tab-icon sol"></span>
+          SOL Transfers ({solTransactions.length})
+        </button>
+        <button 
+          className={`tab-button ${activeTab === 'swap' ? 'active' : ''}`}
+          onClick={() => setActiveTab('swap')}
+        >
+          <span className="tab-icon swap"></span>
+          Swaps ({swaps.length})
+        </button>
+        <button 
+          className={`tab-button ${activeTab === 'stake' ? 'active' : ''}`}
+          onClick={() => setActiveTab('stake')}
+        >
+          <span className="tab-icon stake"></span>
+          Staking ({stakeTransactions.length})
+        </button>
+        <button 
+          className={`tab-button ${activeTab === 'failed' ? 'active' : ''}`}
+          onClick={() => setActiveTab('failed')}
+        >
+          <span className="tab-icon failed"></span>
+          Failed ({allFailedTransactions.length})
+        </button>
       </div>
 
       <div className={`tab-content ${activeTab === 'nft' ? 'active' : ''}`}>
@@ -273,6 +641,119 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
         )}
       </div>
 
+      <div className={`tab-content ${activeTab === 'sol' ? 'active' : ''}`}>
+        {activeTab === 'sol' && (
+          <div className="transaction-list">
+            {solTransactionGroups.length > 0 ? (
+              solTransactionGroups.map((group, index) => (
+                <React.Fragment key={group.signature || `group-${index}`}>
+                  {renderTransactionGroup(group, index)}
+                  {index < solTransactionGroups.length - 1 && (
+                    <div className="transaction-separator">
+                      <div className="separator-line"></div>
+                      <div className="separator-dot">•</div>
+                      <div className="separator-line"></div>
+                    </div>
+                  )}
+                </React.Fragment>
+              ))
+            ) : (
+              <div className="no-transactions">
+                <p>No SOL transfers found for this wallet.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className={`tab-content ${activeTab === 'swap' ? 'active' : ''}`}>
+        {activeTab === 'swap' && (
+          <div className="transaction-list">
+            {swaps.length > 0 ? (
+              swaps.map((swap, index) => (
+                <React.Fragment key={swap.id}>
+                  {renderSwap(swap, index)}
+                  {index < swaps.length - 1 && (
+                    <div className="transaction-separator">
+                      <div className="separator-line"></div>
+                      <div className="separator-dot">•</div>
+                      <div className="separator-line"></div>
+                    </div>
+                  )}
+                </React.Fragment>
+              ))
+            ) : (
+              <div className="no-transactions">
+                <p>No swaps found for this wallet.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className={`tab-content ${activeTab === 'stake' ? 'active' : ''}`}>
+        {activeTab === 'stake' && (
+          <div className="transaction-list">
+            {stakeTransactionGroups.length > 0 ? (
+              stakeTransactionGroups.map((group, index) => (
+                <React.Fragment key={group.signature || `group-${index}`}>
+                  {renderTransactionGroup(group, index)}
+                  {index < stakeTransactionGroups.length - 1 && (
+                    <div className="transaction-separator">
+                      <div className="separator-line"></div>
+                      <div className="separator-dot">•</div>
+                      <div className="separator-line"></div>
+                    </div>
+                  )}
+                </React.Fragment>
+              ))
+            ) : (
+              <div className="no-transactions">
+                <p>No staking activity found for this wallet.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className={`tab-content ${activeTab === 'failed' ? 'active' : ''}`}>
+        {activeTab === 'failed' && (
+          <div className="transaction-list">
+            {errorReasons.length > 1 && (
+              <select
+                className="error-filter"
+                value={errorFilter}
+                onChange={(e) => setErrorFilter(e.target.value)}
+                aria-label="Filter failed transactions by error"
+              >
+                <option value="all">All errors ({allFailedTransactions.length})</option>
+                {errorReasons.map(reason => (
+                  <option key={reason} value={reason}>{reason}</option>
+                ))}
+              </select>
+            )}
+            {failedTransactionGroups.length > 0 ? (
+              failedTransactionGroups.map((group, index) => (
+                <React.Fragment key={group.signature || `group-${index}`}>
+                  {renderTransactionGroup(group, index)}
+                  {index < failedTransactionGroups.length - 1 && (
+                    <div className="transaction-separator">
+                      <div className="separator-line"></div>
+                      <div className="separator-dot">•</div>
+                      <div className="separator-line"></div>
+                    </div>
+                  )}
+                </React.Fragment>
+              ))
+            ) : (
+              <div className="no-transactions">
+                <p>No failed transactions found for this wallet.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       <style jsx>{`
         .transaction-details {
           border-radius: 12px;
@@ -319,6 +800,78 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border-color: rgba(147, 51, 234, 0.3);
         }
 
+        .shared-counterparties {
+          margin-bottom: 24px;
+          padding: 16px;
+          border-radius: 8px;
+          border: 1px solid rgba(244, 63, 94, 0.4);
+          background: rgba(244, 63, 94, 0.08);
+        }
+
+        .shared-counterparties h3 {
+          font-size: 1.1rem;
+          font-weight: 700;
+          margin-bottom: 4px;
+        }
+
+        .shared-item {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: center;
+          padding: 6px 0;
+          font-size: 14px;
+        }
+
+        .shared-item .address {
+          font-family: monospace;
+          font-weight: 600;
+        }
+
+        .shared-inputs,
+        .shared-transfers {
+          opacity: 0.8;
+        }
+
+        .counterparty-totals {
+          margin-bottom: 24px;
+          padding: 16px;
+          border-radius: 8px;
+          border: 1px solid rgba(16, 185, 129, 0.4);
+          background: rgba(16, 185, 129, 0.08);
+        }
+
+        .counterparty-totals h3 {
+          font-size: 1.1rem;
+          font-weight: 700;
+          margin-bottom: 4px;
+        }
+
+        .counterparty-total {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: center;
+          padding: 6px 0;
+          font-size: 14px;
+        }
+
+        .counterparty-total .address {
+          font-family: monospace;
+          font-weight: 600;
+          min-width: 140px;
+        }
+
+        .total-sent {
+          color: #f97316;
+          font-weight: 600;
+        }
+
+        .total-received {
+          color: #10b981;
+          font-weight: 600;
+        }
+
         .transaction-tabs {
           display: flex;
           gap: 12px;
@@ -484,6 +1037,12 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           flex-shrink: 0;
         }
 
+        .token-badges {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+
         .arrow {
           font-size: 18px;
           font-weight: bold;
@@ -579,6 +1138,37 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           background-color: #3b82f6;
         }
 
+        .tab-icon.sol {
+          background-color: #eab308;
+        }
+
+        .tab-icon.swap {
+          background-color: #14b8a6;
+        }
+
+        .tab-icon.stake {
+          background-color: #0891b2;
+        }
+
+        .tab-icon.failed {
+          background-color: #ef4444;
+        }
+
+        .error-filter {
+          align-self: flex-start;
+          padding: 6px 10px;
+          border-radius: 6px;
+          border: 1px solid rgba(239, 68, 68, 0.5);
+          background: transparent;
+          color: inherit;
+          font-size: 14px;
+        }
+
+        .detail-value.error {
+          color: #ef4444;
+          font-weight: 600;
+        }
+
         .transaction-details.dark .transaction-item {
           border: 2px solid rgba(255, 255, 255, 0.3);
           background: rgba(0, 0, 0, 0.6);
@@ -622,6 +1212,30 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(59, 130, 246, 0.8);
         }
 
+        .transaction-details.dark .transaction-type.sol {
+          background-color: rgba(234, 179, 8, 0.6);
+          color: white;
+          border: 1px solid rgba(234, 179, 8, 0.8);
+        }
+
+        .transaction-details.dark .transaction-type.swap {
+          background-color: rgba(20, 184, 166, 0.6);
+          color: white;
+          border: 1px solid rgba(20, 184, 166, 0.8);
+        }
+
+        .transaction-details.dark .transaction-type.stake {
+          background-color: rgba(8, 145, 178, 0.6);
+          color: white;
+          border: 1px solid rgba(8, 145, 178, 0.8);
+        }
+
+        .transaction-details.dark .transaction-type.failed {
+          background-color: rgba(239, 68, 68, 0.6);
+          color: white;
+          border: 1px solid rgba(239, 68, 68, 0.8);
+        }
+
         .transaction-details.dark .transaction-direction {
           color: white;
         }
@@ -658,6 +1272,16 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(16, 185, 129, 0.8);
         }
 
+        .transaction-details.dark .badge.token-extension {
+          background-color: rgba(99, 102, 241, 0.6);
+          border-color: rgba(99, 102, 241, 0.8);
+        }
+
+        .transaction-details.dark .badge.token-extension.warning {
+          background-color: rgba(239, 68, 68, 0.6);
+          border-color: rgba(239, 68, 68, 0.8);
+        }
+
         .transaction-details.dark .arrow {
           color: white;
         }
@@ -776,6 +1400,30 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(59, 130, 246, 0.4);
         }
 
+        .transaction-details.light .transaction-type.sol {
+          background-color: rgba(234, 179, 8, 0.2);
+          color: #1e293b;
+          border: 1px solid rgba(234, 179, 8, 0.4);
+        }
+
+        .transaction-details.light .transaction-type.swap {
+          background-color: rgba(20, 184, 166, 0.2);
+          color: #1e293b;
+          border: 1px solid rgba(20, 184, 166, 0.4);
+        }
+
+        .transaction-details.light .transaction-type.stake {
+          background-color: rgba(8, 145, 178, 0.2);
+          color: #1e293b;
+          border: 1px solid rgba(8, 145, 178, 0.4);
+        }
+
+        .transaction-details.light .transaction-type.failed {
+          background-color: rgba(239, 68, 68, 0.2);
+          color: #1e293b;
+          border: 1px solid rgba(239, 68, 68, 0.4);
+        }
+
         .transaction-details.light .transaction-direction {
           color: #1e293b;
         }
@@ -812,6 +1460,16 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(16, 185, 129, 0.4);
         }
 
+        .transaction-details.light .badge.token-extension {
+          background-color: rgba(99, 102, 241, 0.2);
+          border-color: rgba(99, 102, 241, 0.4);
+        }
+
+        .transaction-details.light .badge.token-extension.warning {
+          background-color: rgba(239, 68, 68, 0.2);
+          border-color: rgba(239, 68, 68, 0.4);
+        }
+
         .transaction-details.light .arrow {
           color: #1e293b;
         }
@@ -912,6 +1570,30 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(59, 130, 246, 1);
         }
 
+        .transaction-details.light .transaction-type.sol {
+          background-color: rgba(234, 179, 8, 0.9);
+          color: white;
+          border: 1px solid rgba(234, 179, 8, 1);
+        }
+
+        .transaction-details.light .transaction-type.swap {
+          background-color: rgba(20, 184, 166, 0.9);
+          color: white;
+          border: 1px solid rgba(20, 184, 166, 1);
+        }
+
+        .transaction-details.light .transaction-type.stake {
+          background-color: rgba(8, 145, 178, 0.9);
+          color: white;
+          border: 1px solid rgba(8, 145, 178, 1);
+        }
+
+        .transaction-details.light .transaction-type.failed {
+          background-color: rgba(239, 68, 68, 0.9);
+          color: white;
+          border: 1px solid rgba(239, 68, 68, 1);
+        }
+
         .transaction-details.light .transaction-direction {
           color: white;
         }
@@ -948,6 +1630,16 @@ const TransactionDetails = ({ data, inputAddress, isDarkMode = true, trafficFilt
           border: 1px solid rgba(16, 185, 129, 1);
         }
 
+        .transaction-details.light .badge.token-extension {
+          background-color: rgba(99, 102, 241, 0.9);
+          border-color: rgba(99, 102, 241, 1);
+        }
+
+        .transaction-details.light .badge.token-extension.warning {
+          background-color: rgba(239, 68, 68, 0.9);
+          border-color: rgba(239, 68, 68, 1);
+        }
+
         .transaction-details.light .arrow {
           color: #1e293b;
         }
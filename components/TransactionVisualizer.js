@@ -5,6 +5,78 @@ import coseBilkent from 'cytoscape-cose-bilkent';
 // Register the layout extension
 cytoscape.use(coseBilkent);
 
+// One color per input wallet when comparing several (the first keeps the classic purple)
+export const INPUT_COLORS = ['#9333ea', '#0ea5e9', '#f97316', '#14b8a6', '#e11d48', '#84cc16', '#6366f1', '#d946ef', '#facc15', '#a16207'];
+
+// Swap nodes routed by a DEX without a colour of its own; also the legend swatch
+const SWAP_NODE_COLOR = '#0ea5e9';
+
+/**
+ * Readable label for a Helius transaction type or source, e.g. NFT_SALE -> "Nft Sale"
+ */
+export function formatTxLabel(value) {
+  if (!value || value === 'UNKNOWN') return 'Unknown';
+  return value
+    .toLowerCase()
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * One-line summary of an NFT sale edge, e.g. "Sold for 12.5 SOL on Magic Eden"
+ */
+export function formatSale(sale) {
+  const price = sale.price.toLocaleString(undefined, { maximumFractionDigits: 4 });
+  const marketplace = sale.marketplace || (sale.source !== 'UNKNOWN' ? formatTxLabel(sale.source) : null);
+  return `Sold for ${price} SOL${marketplace ? ` on ${marketplace}` : ''}`;
+}
+
+/**
+ * USD amount for display, with more precision below one dollar
+ */
+export function formatUsd(value) {
+  return Number(value).toLocaleString(undefined, {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: Math.abs(value) < 1 ? 4 : 2,
+  });
+}
+
+/**
+ * Edge width for a USD value on a log scale, so $10 and $10M both stay readable
+ */
+function getValueWidth(usdValue) {
+  return 1 + Math.min(12, Math.log10(1 + Math.max(0, usdValue)) * 1.5);
+}
+
+/**
+ * Amount and token of one swap leg, e.g. "1.5 SOL" or "150 USDC"
+ */
+export function formatSwapLeg(edge) {
+  const token = edge.tokenMetadata?.symbol || edge.tokenSymbol ||
+    (edge.mint ? `${edge.mint.slice(0, 4)}...${edge.mint.slice(-4)}` : 'SOL');
+  const amount = edge.type === 'SOL' ? edge.solAmount : edge.uiAmount;
+  return `${Number(amount || 0).toLocaleString(undefined, { maximumFractionDigits: 6 })} ${token}`;
+}
+
+// Labels for STAKE edge actions
+const STAKE_ACTION_LABELS = {
+  deposit: 'Funded stake account',
+  delegate: 'Delegated to validator',
+  deactivate: 'Deactivated stake',
+  withdraw: 'Withdrew stake',
+  'liquid-stake': 'Liquid staked',
+};
+
+/**
+ * What a STAKE edge did, e.g. "Delegated to validator" or "Liquid staked (Marinade)"
+ */
+export function formatStakeAction(edge) {
+  const label = STAKE_ACTION_LABELS[edge.stakeAction] || formatTxLabel(edge.stakeAction || 'STAKE');
+  return edge.pool ? `${label} (${edge.pool})` : label;
+}
+
 const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficFilter = 'both', onExpandNode }) => {
   const containerRef = useRef(null);
   const cyRef = useRef(null);
@@ -12,20 +84,61 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
   const [hoveredEdge, setHoveredEdge] = useState(null);
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
   const [layoutType, setLayoutType] = useState('spread'); // 'spread' or 'compact'
+  const [widthByValue, setWidthByValue] = useState(false);
+  const [showFailed, setShowFailed] = useState(true);
   const [expandedNodes, setExpandedNodes] = useState(new Set());
   const [expandingNode, setExpandingNode] = useState(null); // Track which node is being expanded
+  const [txTypeFilter, setTxTypeFilter] = useState('all'); // Helius transaction type, or 'all'
+
+  // All input wallets in the graph (several when comparing wallets)
+  const inputNodes = React.useMemo(() => {
+    return (data?.nodes || []).filter(node => node.type === 'input');
+  }, [data]);
+
+  const inputAddresses = React.useMemo(() => {
+    return new Set([inputAddress, ...inputNodes.map(node => node.id)]);
+  }, [inputAddress, inputNodes]);
+
+  // Transaction types present in the graph, for the type filter
+  const txTypes = React.useMemo(() => {
+    return Array.from(new Set((data?.edges || []).map(edge => edge.txType || 'UNKNOWN'))).sort();
+  }, [data]);
+
+  // Fall back to all types when a new graph lacks the selected one
+  useEffect(() => {
+    if (txTypeFilter !== 'all' && !txTypes.includes(txTypeFilter)) {
+      setTxTypeFilter('all');
+    }
+  }, [txTypes, txTypeFilter]);
+
+  // Filter data based on transaction type and traffic filter
+  // Edges are only valued when the server has a price source configured
+  const hasUsdValues = React.useMemo(() => {
+    return (data?.edges || []).some(edge => edge.usdValue !== undefined);
+  }, [data]);
+
+  const failedCount = React.useMemo(() => {
+    return (data?.edges || []).filter(edge => edge.type === 'FAILED').length;
+  }, [data]);
 
-  // Filter data based on traffic filter
   const filteredEdges = React.useMemo(() => {
     if (!data || !data.edges) return [];
+
+    const visibleEdges = showFailed ? data.edges : data.edges.filter(edge => edge.type !== 'FAILED');
+    const typeEdges = txTypeFilter === 'all'
+      ? visibleEdges
+      : visibleEdges.filter(edge => (edge.txType || 'UNKNOWN') === txTypeFilter);
     
     if (trafficFilter === 'both') {
-      return data.edges;
+      return typeEdges;
     }
     
-    return data.edges.filter(edge => {
-      const isIncoming = edge.target === inputAddress;
-      const isOutgoing = edge.source === inputAddress;
+    return typeEdges.filter(edge => {
+      // A swap is both a send and a receive, so keep its legs together
+      if (edge.swapId) return true;
+
+      const isIncoming = inputAddresses.has(edge.target);
+      const isOutgoing = inputAddresses.has(edge.source);
       
       if (trafficFilter === 'incoming') {
         return isIncoming;
@@ -34,7 +147,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
       }
       return true;
     });
-  }, [data, trafficFilter, inputAddress]);
+  }, [data, trafficFilter, inputAddresses, txTypeFilter, showFailed]);
 
   const filteredNodes = React.useMemo(() => {
     if (!data || !data.nodes) return [];
@@ -48,6 +161,37 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
     return data.nodes.filter(node => nodeIds.has(node.id));
   }, [filteredEdges, data]);
 
+  // Fees the selected wallet paid (once per signature) and the wallets that
+  // paid fees for it
+  const selectedFees = React.useMemo(() => {
+    const fees = { lamports: 0, transactions: 0, sponsors: new Set() };
+    if (!data || !data.edges || !selectedNode) return fees;
+
+    const paidSignatures = new Set();
+    data.edges.forEach(edge => {
+      if (edge.feePayer === selectedNode.id && edge.signature && !paidSignatures.has(edge.signature)) {
+        paidSignatures.add(edge.signature);
+        fees.lamports += edge.fee || 0;
+      }
+      if (edge.type === 'FEE_PAYER' && edge.target === selectedNode.id) {
+        fees.sponsors.add(edge.source);
+      }
+    });
+    fees.transactions = paidSignatures.size;
+    return fees;
+  }, [data, selectedNode]);
+
+  // Legs of the selected swap node, from the full edge list so token metadata is included
+  const selectedSwapLegs = React.useMemo(() => {
+    const legs = { in: [], out: [] };
+    if (!data || !data.edges || selectedNode?.type !== 'swap') return legs;
+
+    data.edges
+      .filter(edge => edge.swapId === selectedNode.id)
+      .forEach(edge => legs[edge.swapDirection].push(edge));
+    return legs;
+  }, [data, selectedNode]);
+
   useEffect(() => {
     if (!data || !containerRef.current) return;
 
@@ -69,7 +213,12 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
             id: node.id,
             label: node.label,
             type: node.type,
+            hop: node.hop,
+            inputIndex: node.inputIndex,
+            sharedBy: node.sharedBy,
             entity: node.entity, // Include entity information
+            swap: node.swap,
+            stake: node.stake,
           }
         })),
         // Add edges
@@ -79,9 +228,31 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
             source: edge.source,
             target: edge.target,
             type: edge.type,
+            txType: edge.txType,
+            txSource: edge.txSource,
             amount: edge.amount,
             tokenSymbol: edge.tokenSymbol,
+            tokenName: edge.tokenName,
+            tokenMetadata: edge.tokenMetadata,
             uiAmount: edge.uiAmount,
+            mint: edge.mint,
+            signature: edge.signature,
+            lamports: edge.lamports,
+            solAmount: edge.solAmount,
+            swapId: edge.swapId,
+            swapDirection: edge.swapDirection,
+            sale: edge.sale,
+            usdValue: edge.usdValue,
+            usdPrice: edge.usdPrice,
+            error: edge.error,
+            programId: edge.programId,
+            assetId: edge.assetId,
+            compressed: edge.compressed,
+            transferFee: edge.transferFee,
+            stakeAction: edge.stakeAction,
+            stakeAccount: edge.stakeAccount,
+            validator: edge.validator,
+            pool: edge.pool,
           }
         }))
       ],
@@ -122,7 +293,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
         {
           selector: 'node[type="input"]',
           style: {
-            'background-color': '#9333ea',
+            'background-color': (ele) => INPUT_COLORS[(ele.data('inputIndex') || 0) % INPUT_COLORS.length],
             'width': 80,
             'height': 80,
             'border-width': 3,
@@ -136,6 +307,42 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
             'background-color': '#059669',
           }
         },
+        // Swap nodes, coloured by the DEX that routed them
+        {
+          selector: 'node[type="swap"]',
+          style: {
+            'shape': 'round-diamond',
+            'background-color': (ele) => ele.data('swap')?.dex?.color || SWAP_NODE_COLOR,
+            'width': 50,
+            'height': 50,
+          }
+        },
+        // Stake accounts, and the validators (vote accounts) they delegate to
+        {
+          selector: 'node[type="stake"]',
+          style: {
+            'shape': 'round-rectangle',
+            'background-color': '#0891b2',
+            'width': 45,
+            'height': 45,
+          }
+        },
+        {
+          selector: 'node[type="validator"]',
+          style: {
+            'shape': 'hexagon',
+            'background-color': '#155e75',
+          }
+        },
+        // Counterparties shared by two or more input wallets
+        {
+          selector: 'node[?sharedBy]',
+          style: {
+            'border-width': 6,
+            'border-style': 'double',
+            'border-color': '#f43f5e',
+          }
+        },
         // Selected node style
         {
           selector: 'node:selected',
@@ -175,6 +382,68 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
             'target-arrow-color': '#2563eb',
           }
         },
+        // Native SOL transfer edges
+        {
+          selector: 'edge[type="SOL"]',
+          style: {
+            'line-color': '#eab308',
+            'target-arrow-color': '#eab308',
+          }
+        },
+        // Swaps: the legs of one trade
+        {
+          selector: 'edge[txType="SWAP"]',
+          style: {
+            'line-style': 'dashed',
+          }
+        },
+        // Marketplace activity (sales, mints, listings, bids)
+        {
+          selector: 'edge[txType ^= "NFT_"]',
+          style: {
+            'width': 5,
+          }
+        },
+        // Token supply changes
+        {
+          selector: 'edge[txType="TOKEN_MINT"], edge[txType="TOKEN_BURN"]',
+          style: {
+            'line-style': 'dotted',
+          }
+        },
+        // Staking: funding, delegating, deactivating and withdrawing stake
+        {
+          selector: 'edge[type="STAKE"]',
+          style: {
+            'line-color': '#0891b2',
+            'target-arrow-color': '#0891b2',
+            'target-arrow-shape': 'square',
+          }
+        },
+        // Another wallet paid this wallet's transaction fee
+        {
+          selector: 'edge[type="FEE_PAYER"]',
+          style: {
+            'line-color': '#f97316',
+            'target-arrow-color': '#f97316',
+            'line-style': 'dashed',
+            'line-dash-pattern': [10, 6],
+            'width': 2,
+          }
+        },
+        // Failed transactions: attempts that reverted
+        {
+          selector: 'edge[type="FAILED"]',
+          style: {
+            'line-color': '#ef4444',
+            'target-arrow-color': '#ef4444',
+            'target-arrow-shape': 'tee',
+            'line-style': 'dashed',
+            'line-dash-pattern': [3, 5],
+            'width': 2,
+            'opacity': 0.8,
+          }
+        },
         // Highlighted edges (connected to selected node)
         {
           selector: 'edge.highlighted',
@@ -251,7 +520,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
       cyRef.current.edges().not(connectedEdges).addClass('dimmed');
       
       // Handle node expansion (double-click or if expand callback is provided)
-      if (onExpandNode && !expandedNodes.has(nodeData.id)) {
+      if (onExpandNode && nodeData.type !== 'swap' && !expandedNodes.has(nodeData.id)) {
         // Add visual indicator that node is expandable
         node.addClass('expandable');
       }
@@ -263,7 +532,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
       const node = event.target;
       const nodeData = node.data();
       
-      if (onExpandNode && !expandedNodes.has(nodeData.id)) {
+      if (onExpandNode && nodeData.type !== 'swap' && !expandedNodes.has(nodeData.id)) {
         // Show expansion loading state
         setExpandingNode(nodeData.id);
         
@@ -281,7 +550,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
       const node = event.target;
       const nodeData = node.data();
       
-      if (onExpandNode && !expandedNodes.has(nodeData.id)) {
+      if (onExpandNode && nodeData.type !== 'swap' && !expandedNodes.has(nodeData.id)) {
         // Show expansion loading state
         setExpandingNode(nodeData.id);
         
@@ -313,13 +582,8 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
     cyRef.current.on('mouseout', 'node', (event) => {
       const node = event.target;
       if (!node.selected()) {
-        const nodeType = node.data('type');
-        
-        if (nodeType === 'input') {
-          node.style('background-color', '#9333ea');
-        } else {
-          node.style('background-color', '#059669');
-        }
+        // Fall back to the stylesheet color (input, entity or wallet)
+        node.removeStyle('background-color');
       }
     });
 
@@ -346,12 +610,26 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
     };
   }, [filteredNodes, filteredEdges]);
 
+  // Scale valued edges by USD value; unvalued edges keep their type's width
+  useEffect(() => {
+    if (!cyRef.current) return;
+
+    const valuedEdges = cyRef.current.edges('[usdValue]');
+    if (widthByValue) {
+      valuedEdges.forEach(edge => {
+        edge.style('width', getValueWidth(edge.data('usdValue')));
+      });
+    } else {
+      valuedEdges.removeStyle('width');
+    }
+  }, [widthByValue, filteredNodes, filteredEdges]);
+
   if (!data || data.nodes.length === 0) {
     return (
       <div className="no-data">
         <div className="no-data-icon">📊</div>
         <h3>No Transaction Data Found</h3>
-        <p>This wallet address has no recent NFT transfers or SPL token transactions to display.</p>
+        <p>This wallet address has no recent NFT transfers, SPL token or SOL transactions to display.</p>
         <p className="suggestion">Try a different wallet address that has been more active on the Solana blockchain.</p>
       </div>
     );
@@ -360,10 +638,28 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
   return (
     <div className={`visualizer-container ${isDarkMode ? 'dark' : 'light'}`}>
       <div className="legend">
-        <div className="legend-item">
-          <div className="legend-color input"></div>
-          <span>Input Wallet</span>
-        </div>
+        {inputNodes.length > 1 ? (
+          <>
+            {inputNodes.map(node => (
+              <div key={node.id} className="legend-item">
+                <div
+                  className="legend-color"
+                  style={{ backgroundColor: INPUT_COLORS[(node.inputIndex || 0) % INPUT_COLORS.length] }}
+                ></div>
+                <span>Input #{(node.inputIndex || 0) + 1} {node.label}</span>
+              </div>
+            ))}
+            <div className="legend-item">
+              <div className="legend-color shared"></div>
+              <span>Shared Counterparty</span>
+            </div>
+          </>
+        ) : (
+          <div className="legend-item">
+            <div className="legend-color input"></div>
+            <span>Input Wallet</span>
+          </div>
+        )}
         <div className="legend-item">
           <div className="legend-color wallet"></div>
           <span>Connected Wallet</span>
@@ -376,6 +672,46 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
           <div className="legend-line spl"></div>
           <span>SPL Token</span>
         </div>
+        <div className="legend-item">
+          <div className="legend-line sol"></div>
+          <span>SOL Transfer</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line swap"></div>
+          <span>Swap</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line stake"></div>
+          <span>Stake / Unstake</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line fee-payer"></div>
+          <span>Paid Fees For</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line failed"></div>
+          <span>Failed Transaction</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-color swap-node" style={{ backgroundColor: SWAP_NODE_COLOR }}></div>
+          <span>Swap (one per trade)</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-color stake-node"></div>
+          <span>Stake Account</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-color validator-node"></div>
+          <span>Validator</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line supply"></div>
+          <span>Token Mint / Burn</span>
+        </div>
+        <div className="legend-item">
+          <div className="legend-line marketplace"></div>
+          <span>NFT Sale / Mint / Listing</span>
+        </div>
         <div className="legend-separator"></div>
         <div className="legend-item">
           <div className="legend-color marketplace"></div>
@@ -444,6 +780,39 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
              Showing: {trafficFilter === 'incoming' ? 'Incoming' : 'Outgoing'} only
            </span>
          )}
+         {txTypes.length > 1 && (
+           <select
+             className="tx-type-filter"
+             value={txTypeFilter}
+             onChange={(e) => setTxTypeFilter(e.target.value)}
+             aria-label="Filter by transaction type"
+           >
+             <option value="all">All types</option>
+             {txTypes.map(txType => (
+               <option key={txType} value={txType}>{formatTxLabel(txType)}</option>
+             ))}
+           </select>
+         )}
+         {failedCount > 0 && (
+           <label className="stats-toggle">
+             <input
+               type="checkbox"
+               checked={showFailed}
+               onChange={(e) => setShowFailed(e.target.checked)}
+             />
+             Failed ({failedCount})
+           </label>
+         )}
+         {hasUsdValues && (
+           <label className="stats-toggle">
+             <input
+               type="checkbox"
+               checked={widthByValue}
+               onChange={(e) => setWidthByValue(e.target.checked)}
+             />
+             Width by USD value
+           </label>
+         )}
          {onExpandNode && (
            <span className="expand-hint">
              💡 Right-click nodes to expand
@@ -451,11 +820,58 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
          )}
        </div>
 
-      {selectedNode && (
+      {selectedNode && selectedNode.type === 'swap' && (
+        <div className="node-info">
+          <h4>Swap</h4>
+          {selectedNode.swap?.dex && (
+            <p><strong>DEX:</strong> {selectedNode.swap.dex.icon} {selectedNode.swap.dex.name}</p>
+          )}
+          <p><strong>Sold:</strong> {selectedSwapLegs.in.map(formatSwapLeg).join(', ') || 'Unknown'}</p>
+          <p><strong>Bought:</strong> {selectedSwapLegs.out.map(formatSwapLeg).join(', ') || 'Unknown'}</p>
+          <p><strong>Trader:</strong> {selectedNode.swap?.trader}</p>
+          {selectedNode.swap?.signature && (
+            <p>
+              <a
+                href={`https://solscan.io/tx/${selectedNode.swap.signature}`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                View on Solscan →
+              </a>
+            </p>
+          )}
+          <button onClick={() => setSelectedNode(null)}>×</button>
+        </div>
+      )}
+
+      {selectedNode && selectedNode.type !== 'swap' && (
         <div className="node-info">
           <h4>Selected Wallet</h4>
           <p><strong>Address:</strong> {selectedNode.id}</p>
-          <p><strong>Type:</strong> {selectedNode.type === 'input' ? 'Input Wallet' : 'Connected Wallet'}</p>
+          <p><strong>Type:</strong> {selectedNode.type === 'input'
+            ? `Input Wallet${inputNodes.length > 1 ? ` #${(selectedNode.inputIndex || 0) + 1}` : ''}`
+            : selectedNode.type === 'stake' ? 'Stake Account'
+            : selectedNode.type === 'validator' ? 'Validator (vote account)'
+            : 'Connected Wallet'}</p>
+          {selectedNode.stake?.validator && (
+            <p><strong>Delegated to:</strong> {selectedNode.stake.validator}</p>
+          )}
+          {selectedNode.stake?.authority && (
+            <p><strong>Stake authority:</strong> {selectedNode.stake.authority}</p>
+          )}
+          {selectedNode.sharedBy && (
+            <p><strong>Shared by:</strong> {selectedNode.sharedBy.length} input wallets</p>
+          )}
+          {selectedNode.hop !== undefined && (
+            <p><strong>Hops from root:</strong> {selectedNode.hop}</p>
+          )}
+          {selectedFees.transactions > 0 && (
+            <p><strong>Fees paid:</strong> {(selectedFees.lamports / 1e9).toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL
+              ({selectedFees.transactions} transaction{selectedFees.transactions === 1 ? '' : 's'})</p>
+          )}
+          {selectedFees.sponsors.size > 0 && (
+            <p><strong>Fees paid by others:</strong> {selectedFees.sponsors.size} wallet{selectedFees.sponsors.size === 1 ? '' : 's'}</p>
+          )}
           {selectedNode.entity && (
             <div className="entity-info">
               <p><strong>Entity:</strong> {selectedNode.entity.icon} {selectedNode.entity.name}</p>
@@ -480,7 +896,7 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
               {hoveredEdge.type}
             </span>
             <span className="tooltip-direction">
-              {hoveredEdge.source === inputAddress ? 'Outgoing' : 'Incoming'}
+              {inputAddresses.has(hoveredEdge.source) ? 'Outgoing' : 'Incoming'}
             </span>
           </div>
           <div className="tooltip-content">
@@ -489,14 +905,54 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
               <span className="tooltip-arrow">→</span>
               <span className="tooltip-address">{hoveredEdge.target.slice(0, 4)}...{hoveredEdge.target.slice(-4)}</span>
             </div>
+            {hoveredEdge.txType && hoveredEdge.txType !== 'UNKNOWN' && (
+              <div className="tooltip-tx-type">
+                {formatTxLabel(hoveredEdge.txType)}
+                {hoveredEdge.txSource && hoveredEdge.txSource !== 'UNKNOWN' && ` via ${formatTxLabel(hoveredEdge.txSource)}`}
+              </div>
+            )}
             {hoveredEdge.type === 'NFT' ? (
               <div className="tooltip-details">
-                <span><strong>Amount:</strong> 1 NFT</span>
+                <span><strong>Amount:</strong> {hoveredEdge.sale ? formatSale(hoveredEdge.sale) : '1 NFT'}</span>
+                {hoveredEdge.sale && (hoveredEdge.sale.marketplaceFee > 0 || hoveredEdge.sale.royalty > 0) && (
+                  <span><strong>Fee / Royalty:</strong> {hoveredEdge.sale.marketplaceFee} / {hoveredEdge.sale.royalty} SOL</span>
+                )}
                 <span><strong>Token:</strong> {hoveredEdge.tokenMetadata?.name || hoveredEdge.tokenSymbol || 'Unknown'}</span>
                 {hoveredEdge.tokenMetadata?.collection && (
-                  <span><strong>Collection:</strong> {hoveredEdge.tokenMetadata.collection.name}</span>
+                  <span><strong>Collection:</strong> {hoveredEdge.tokenMetadata.collection.name ||
+                    `${hoveredEdge.tokenMetadata.collection.key?.slice(0, 8)}...`}</span>
+                )}
+                {hoveredEdge.compressed && (
+                  <span><strong>Compressed:</strong> asset {hoveredEdge.assetId.slice(0, 8)}...{hoveredEdge.assetId.slice(-8)}</span>
                 )}
               </div>
+            ) : hoveredEdge.type === 'FAILED' ? (
+              <div className="tooltip-details">
+                <span><strong>Error:</strong> {hoveredEdge.error}</span>
+                {hoveredEdge.programId && (
+                  <span><strong>Program:</strong> {hoveredEdge.programId.slice(0, 8)}...{hoveredEdge.programId.slice(-8)}</span>
+                )}
+              </div>
+            ) : hoveredEdge.type === 'STAKE' ? (
+              <div className="tooltip-details">
+                <span><strong>Action:</strong> {formatStakeAction(hoveredEdge)}</span>
+                {hoveredEdge.solAmount !== null && (
+                  <span><strong>Amount:</strong> {hoveredEdge.solAmount} SOL</span>
+                )}
+                {hoveredEdge.validator && (
+                  <span><strong>Validator:</strong> {hoveredEdge.validator.slice(0, 8)}...{hoveredEdge.validator.slice(-8)}</span>
+                )}
+              </div>
+            ) : hoveredEdge.type === 'FEE_PAYER' ? (
+              <div className="tooltip-details">
+                <span><strong>Paid fee:</strong> {hoveredEdge.solAmount} SOL</span>
+                <span><strong>Lamports:</strong> {hoveredEdge.lamports?.toLocaleString()}</span>
+              </div>
+            ) : hoveredEdge.type === 'SOL' ? (
+              <div className="tooltip-details">
+                <span><strong>Amount:</strong> {hoveredEdge.solAmount} SOL</span>
+                <span><strong>Lamports:</strong> {hoveredEdge.lamports?.toLocaleString()}</span>
+              </div>
             ) : (
               <div className="tooltip-details">
                 <span><strong>Amount:</strong> {hoveredEdge.uiAmount || hoveredEdge.amount}</span>
@@ -507,6 +963,18 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
                 {hoveredEdge.mint && (
                   <span><strong>Mint:</strong> {hoveredEdge.mint.slice(0, 8)}...{hoveredEdge.mint.slice(-8)}</span>
                 )}
+                {hoveredEdge.transferFee !== undefined && (
+                  <span><strong>Transfer Fee Withheld:</strong> {hoveredEdge.transferFee}</span>
+                )}
+                {hoveredEdge.tokenMetadata?.extensions?.permanentDelegate && (
+                  <span className="tooltip-warning">⚠️ Permanent delegate can move or burn this token from any wallet</span>
+                )}
+              </div>
+            )}
+            {hoveredEdge.usdValue !== undefined && (
+              <div className="tooltip-usd">
+                ≈ {formatUsd(hoveredEdge.usdValue)}
+                <span className="tooltip-usd-price"> at {formatUsd(hoveredEdge.usdPrice)} each</span>
               </div>
             )}
             {hoveredEdge.signature && (
@@ -583,6 +1051,26 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
           color: #1f2937;
         }
 
+        .visualizer-container.light .tooltip-type.sol {
+          background-color: rgba(234, 179, 8, 0.2);
+          color: #1f2937;
+        }
+
+        .visualizer-container.light .tooltip-type.failed {
+          background-color: rgba(239, 68, 68, 0.2);
+          color: #1f2937;
+        }
+
+        .visualizer-container.light .tooltip-type.stake {
+          background-color: rgba(8, 145, 178, 0.2);
+          color: #1f2937;
+        }
+
+        .visualizer-container.light .tooltip-type.fee_payer {
+          background-color: rgba(249, 115, 22, 0.2);
+          color: #1f2937;
+        }
+
         .visualizer-container.light .tooltip-direction {
           background-color: rgba(0, 0, 0, 0.1);
           color: #1f2937;
@@ -620,7 +1108,28 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
         .legend-color.wallet {
           background-color: #059669;
         }
+
+        .legend-color.shared {
+          background-color: #059669;
+          border: 3px double #f43f5e;
+        }
         
+        .legend-color.swap-node {
+          border-radius: 2px;
+          transform: rotate(45deg) scale(0.8);
+        }
+
+        .legend-color.stake-node {
+          background-color: #0891b2;
+          border-radius: 4px;
+        }
+
+        .legend-color.validator-node {
+          background-color: #155e75;
+          clip-path: polygon(25% 0, 75% 0, 100% 50%, 75% 100%, 25% 100%, 0 50%);
+          border-radius: 0;
+        }
+
         .legend-line {
           width: 20px;
           height: 3px;
@@ -634,6 +1143,39 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
         .legend-line.spl {
           background-color: #2563eb;
         }
+
+        .legend-line.sol {
+          background-color: #eab308;
+        }
+
+        .legend-line.stake {
+          background-color: #0891b2;
+        }
+
+        .legend-line.fee-payer {
+          height: 0;
+          border-top: 2px dashed #f97316;
+        }
+
+        .legend-line.failed {
+          height: 0;
+          border-top: 2px dotted #ef4444;
+        }
+
+        .legend-line.swap {
+          height: 0;
+          border-top: 3px dashed #94a3b8;
+        }
+
+        .legend-line.supply {
+          height: 0;
+          border-top: 3px dotted #94a3b8;
+        }
+
+        .legend-line.marketplace {
+          height: 5px;
+          background-color: #94a3b8;
+        }
         
         .legend-separator {
           height: 1px;
@@ -734,6 +1276,55 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
            color: #a855f7;
          }
 
+         .tx-type-filter {
+           margin-right: 12px;
+           padding: 2px 4px;
+           border-radius: 4px;
+           border: 1px solid rgba(148, 163, 184, 0.5);
+           background: transparent;
+           color: inherit;
+           font-size: 11px;
+           font-weight: 600;
+         }
+
+         .tx-type-filter option {
+           color: #1e293b;
+         }
+
+         .stats-toggle {
+           display: inline-flex;
+           align-items: center;
+           gap: 4px;
+           margin-right: 12px;
+           font-size: 11px;
+           font-weight: 600;
+           cursor: pointer;
+         }
+
+         .tooltip-usd {
+           font-size: 12px;
+           font-weight: 700;
+           color: #10b981;
+           margin-top: 4px;
+         }
+
+         .tooltip-usd-price {
+           font-weight: 400;
+           opacity: 0.7;
+         }
+
+         .tooltip-warning {
+           font-weight: 600;
+           color: #ef4444;
+         }
+
+         .tooltip-tx-type {
+           font-size: 11px;
+           font-weight: 600;
+           color: #a855f7;
+           margin-bottom: 4px;
+         }
+
          .expand-hint {
            background: rgba(245, 158, 11, 0.1);
            color: #f59e0b;
@@ -876,6 +1467,26 @@ const TransactionVisualizer = ({ data, inputAddress, isDarkMode = true, trafficF
           color: white;
         }
 
+        .tooltip-type.sol {
+          background-color: rgba(234, 179, 8, 0.8);
+          color: white;
+        }
+
+        .tooltip-type.failed {
+          background-color: rgba(239, 68, 68, 0.8);
+          color: white;
+        }
+
+        .tooltip-type.stake {
+          background-color: rgba(8, 145, 178, 0.8);
+          color: white;
+        }
+
+        .tooltip-type.fee_payer {
+          background-color: rgba(249, 115, 22, 0.8);
+          color: white;
+        }
+
         .tooltip-direction {
           padding: 2px 6px;
           border-radius: 4px;
@@ -0,0 +1,230 @@
+import { getConfig } from './config';
+import { isTimeoutError } from './deadline';
+import { signatureRegex, solanaAddressRegex } from './validation';
+
+/**
+ * Shared request handling for the API routes: security headers, CORS,
+ * request validation and mapping upstream errors to client responses
+ */
+
+/**
+ * Set security and CORS headers and reject requests the route cannot serve.
+ * Returns true when a response has already been sent (preflight, oversized
+ * body or disallowed method) and the handler should stop.
+ */
+export function applySecurityHeaders(req, res, allowedMethods) {
+  // Set security headers
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+
+  const { maxRequestSize, allowedOrigins } = getConfig().security;
+
+  // Check request size limit
+  const contentLength = parseInt(req.headers['content-length'] || '0');
+  if (contentLength > maxRequestSize) {
+    res.status(413).json({ error: 'Request too large' });
+    return true;
+  }
+
+  // Handle CORS for the configured origins (ALLOWED_ORIGINS)
+  const origin = req.headers.origin;
+  if (allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', [...allowedMethods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Cost');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+
+  if (!allowedMethods.includes(req.method)) {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Validate a transaction request body.
+ * Returns `{ error }` on failure, otherwise the cleaned request parameters.
+ */
+export function validateTransactionRequest(body) {
+  // Validate request body
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid request body. Expected JSON object.' };
+  }
+
+  const { address, addresses, timeRange, cursor, until } = body;
+
+  // Validate wallet addresses: a single `address` or an `addresses` list to compare
+  const rawAddresses = addresses !== undefined ? addresses : [address];
+  if (!Array.isArray(rawAddresses) || rawAddresses.length === 0) {
+    return { error: 'Addresses must be a non-empty array of wallet addresses' };
+  }
+  const { maxAddresses } = getConfig().input;
+  if (rawAddresses.length > maxAddresses) {
+    return { error: `Too many addresses. Compare at most ${maxAddresses} wallets at once.` };
+  }
+  if (rawAddresses.some(value => !value || typeof value !== 'string')) {
+    return { error: 'Wallet address is required and must be a string' };
+  }
+
+  // Validate time range if provided
+  if (timeRange && (typeof timeRange !== 'object' || !timeRange.start || !timeRange.end)) {
+    return { error: 'Invalid time range format. Expected object with start and end properties.' };
+  }
+
+  // Validate pagination cursors if provided (transaction signatures)
+  if ((cursor && (typeof cursor !== 'string' || !signatureRegex.test(cursor))) ||
+      (until && (typeof until !== 'string' || !signatureRegex.test(until)))) {
+    return { error: 'Invalid pagination cursor. Expected a transaction signature.' };
+  }
+
+  // Clean and validate Solana address format
+  const cleanAddresses = [...new Set(rawAddresses.map(value => value.trim().replace(/[^1-9A-HJ-NP-Za-km-z]/g, '')))];
+
+  // Basic Solana address validation (44 characters, base58)
+  if (cleanAddresses.some(value => !solanaAddressRegex.test(value))) {
+    return { error: 'Invalid Solana wallet address format' };
+  }
+
+  // Cursors walk a single wallet's history
+  if ((cursor || until) && cleanAddresses.length > 1) {
+    return { error: 'Pagination cursors are only supported for a single address' };
+  }
+
+  return {
+    address: cleanAddresses[0],
+    addresses: cleanAddresses,
+    timeRange: timeRange || null,
+    cursor: cursor || null,
+    until: until || null
+  };
+}
+
+/**
+ * Validate a single transaction lookup request body.
+ * Returns `{ error }` on failure, otherwise `{ signature }`.
+ */
+export function validateSignatureRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid request body. Expected JSON object.' };
+  }
+
+  const { signature } = body;
+  if (!signature || typeof signature !== 'string') {
+    return { error: 'Transaction signature is required and must be a string' };
+  }
+
+  const cleanSignature = signature.trim();
+  if (!signatureRegex.test(cleanSignature)) {
+    return { error: 'Invalid transaction signature format' };
+  }
+
+  return { signature: cleanSignature };
+}
+
+/**
+ * Validate a graph crawl request body: the transaction request fields plus
+ * integer `depth`, `fanOut` and `txLimit` within the configured limits.
+ * Returns `{ error }` on failure, otherwise the cleaned request parameters.
+ */
+export function validateGraphRequest(body, limits) {
+  const request = validateTransactionRequest(body);
+  if (request.error) {
+    return request;
+  }
+  if (request.addresses.length > 1) {
+    return { error: 'Graph crawls start from a single root address' };
+  }
+
+  const depth = parseLimit(body.depth, 1, 1, limits.maxDepth);
+  const fanOut = parseLimit(body.fanOut, 5, 1, limits.maxFanOut);
+  const txLimit = parseLimit(body.txLimit, 100, 1, limits.maxTxLimit);
+
+  if (depth === null) {
+    return { error: `Invalid depth. Expected an integer between 1 and ${limits.maxDepth}.` };
+  }
+  if (fanOut === null) {
+    return { error: `Invalid fanOut. Expected an integer between 1 and ${limits.maxFanOut}.` };
+  }
+  if (txLimit === null) {
+    return { error: `Invalid txLimit. Expected an integer between 1 and ${limits.maxTxLimit}.` };
+  }
+
+  return { ...request, depth, fanOut, txLimit };
+}
+
+/**
+ * Parse an optional integer parameter, null when present but out of range
+ */
+function parseLimit(value, defaultValue, min, max) {
+  if (value === undefined || value === null) return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) return null;
+  return number;
+}
+
+/**
+ * Map an upstream or processing error to a status code and safe response body
+ */
+export function getErrorResponse(error) {
+  // Handle specific data provider errors
+  if (isTimeoutError(error) || error.response?.status === 504) {
+    return {
+      status: 408,
+      body: {
+        error: 'Request timeout. The data provider is taking too long to respond.',
+        suggestion: 'Try a different wallet address, reduce the time range, or try a wallet with fewer transactions.',
+        details: 'The API request exceeded the timeout limit. This usually happens with wallets that have many transactions.'
+      }
+    };
+  }
+
+  if (error.response?.status === 429) {
+    return {
+      status: 429,
+      body: {
+        error: 'Data provider rate limit exceeded. Please try again later.',
+        retryAfter: 60
+      }
+    };
+  }
+
+  if (error.response?.status === 400) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid wallet address or API request'
+      }
+    };
+  }
+
+  if (error.response?.status === 401) {
+    return {
+      status: 500,
+      body: {
+        error: 'API configuration error. Please try again later.'
+      }
+    };
+  }
+
+  // Generic error response with more details for debugging
+  return {
+    status: 500,
+    body: {
+      error: 'Failed to fetch transaction data. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  };
+}
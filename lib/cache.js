@@ -0,0 +1,174 @@
+import { Redis } from '@upstash/redis';
+import { getConfig } from './config';
+import { createLogger } from './logger';
+
+/**
+ * Key/value cache shared by token metadata, entity info and graph caching.
+ *
+ * Backed by Upstash Redis when UPSTASH_REDIS_REST_URL and
+ * UPSTASH_REDIS_REST_TOKEN are set, otherwise by a bounded in-process LRU
+ * (per server instance, lost on restart). Both backends store JSON values
+ * with a TTL in seconds, and cache failures never fail a request: reads
+ * miss and writes are dropped.
+ */
+
+const log = createLogger('cache');
+
+/**
+ * Upstash Redis backend. Values are serialized here rather than by the
+ * client so both backends behave the same way.
+ */
+export class RedisCache {
+  constructor({ url, token }) {
+    this.name = 'redis';
+    this.redis = new Redis({ url, token, automaticDeserialization: false });
+  }
+
+  async get(key) {
+    try {
+      return parseValue(await this.redis.get(key));
+    } catch (error) {
+      log.warn('Redis cache get failed', { key, error });
+      return null;
+    }
+  }
+
+  async mget(keys) {
+    if (keys.length === 0) return [];
+    try {
+      const values = await this.redis.mget(...keys);
+      return values.map(parseValue);
+    } catch (error) {
+      log.warn('Redis cache mget failed', { keys: keys.length, error });
+      return keys.map(() => null);
+    }
+  }
+
+  async set(key, value, { ttl } = {}) {
+    try {
+      const serialized = JSON.stringify(value);
+      if (ttl) {
+        await this.redis.set(key, serialized, { ex: ttl });
+      } else {
+        await this.redis.set(key, serialized);
+      }
+    } catch (error) {
+      log.warn('Redis cache set failed', { key, error });
+    }
+  }
+
+  async ttl(key) {
+    try {
+      return await this.redis.ttl(key);
+    } catch (error) {
+      log.warn('Redis cache ttl failed', { key, error });
+      return -2;
+    }
+  }
+
+  async del(key) {
+    try {
+      await this.redis.del(key);
+    } catch (error) {
+      log.warn('Redis cache del failed', { key, error });
+    }
+  }
+
+  /**
+   * Round trip to Redis. Unlike the other methods it throws on failure, so
+   * health checks can report it.
+   */
+  async ping() {
+    await this.redis.ping();
+  }
+}
+
+/**
+ * In-process LRU backend, evicting the least recently used entry once
+ * `maxEntries` is reached. Values are stored serialized so callers never
+ * share (and mutate) a cached object.
+ */
+export class MemoryCache {
+  constructor({ maxEntries }) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Insertion order doubles as recency order
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? parseValue(entry.value) : null;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Seconds until `key` expires, -1 when it has no TTL and -2 when missing
+   * (the same convention as Redis TTL)
+   */
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async ping() {
+    // Always reachable
+  }
+
+  /**
+   * Live entry for `key`, marked most recently used; expired entries are dropped
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry;
+  }
+}
+
+function parseValue(value) {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function createCache() {
+  const config = getConfig();
+  if (config.redis.enabled) {
+    return new RedisCache(config.redis);
+  }
+
+  log.info('Redis not configured - using in-memory cache', { maxEntries: config.cache.maxEntries });
+  return new MemoryCache(config.cache);
+}
+
+// Export singleton instance
+export const cache = createCache();
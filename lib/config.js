@@ -1,42 +1,241 @@
+import { createLogger } from './logger';
+import { INPUT_ADDRESS_LIMITS } from './validation';
+
 /**
  * Configuration and environment variable validation
  */
 
+const log = createLogger('config');
+
+// Integer settings read from the environment, with their default and
+// allowed range. Invalid values fall back to the default and are reported
+// by validateEnvironment.
+const INTEGER_SETTINGS = {
+  HELIUS_MAX_PAGES: { default: 10, min: 1, max: 100 },
+  REQUEST_DEADLINE_MS: { default: 50000, min: 1000, max: 900000 },
+  ENRICHMENT_RESERVE_MS: { default: 15000, min: 0, max: 900000 },
+  UPSTREAM_TIMEOUT_MS: { default: 30000, min: 1000, max: 120000 },
+  TRANSACTION_TIMEOUT_MS: { default: 15000, min: 1000, max: 120000 },
+  METADATA_TIMEOUT_MS: { default: 8000, min: 500, max: 60000 },
+  TOKEN_LOOKUP_TIMEOUT_MS: { default: 3000, min: 500, max: 60000 },
+  ENTITY_LOOKUP_TIMEOUT_MS: { default: 2000, min: 500, max: 60000 },
+  PRICE_TIMEOUT_MS: { default: 5000, min: 500, max: 60000 },
+  HEALTH_CHECK_TIMEOUT_MS: { default: 5000, min: 500, max: 60000 },
+  CRAWL_MAX_DEPTH: { default: 3, min: 1, max: 10 },
+  CRAWL_MAX_FAN_OUT: { default: 10, min: 1, max: 100 },
+  CRAWL_MAX_TX_LIMIT: { default: 500, min: 1, max: 10000 },
+  CRAWL_MAX_ADDRESSES: { default: 25, min: 1, max: 1000 },
+  ENTITY_MAX_ADDRESSES: { default: 20, min: 0, max: 1000 },
+  ENTITY_BATCH_SIZE: { default: 10, min: 1, max: 100 },
+  TOKEN_METADATA_BATCH_SIZE: { default: 5, min: 1, max: 100 },
+  PRICE_LOOKUP_CONCURRENCY: { default: 5, min: 1, max: 50 },
+  MAX_INPUT_ADDRESSES: INPUT_ADDRESS_LIMITS,
+  CACHE_MAX_ENTRIES: { default: 1000, min: 1, max: 1000000 },
+  GRAPH_CACHE_TTL: { default: 60, min: 0, max: 86400 },
+  GRAPH_CACHE_STALE_TTL: { default: 600, min: 0, max: 604800 },
+  RATE_LIMIT_WINDOW_SECONDS: { default: 60, min: 1, max: 86400 },
+  RATE_LIMIT_TRANSACTIONS_POINTS: { default: 60, min: 1, max: 1000000 },
+  RATE_LIMIT_GRAPH_POINTS: { default: 60, min: 1, max: 1000000 },
+  RATE_LIMIT_TX_POINTS: { default: 30, min: 1, max: 1000000 },
+  RATE_LIMIT_HEALTH_POINTS: { default: 12, min: 1, max: 1000000 },
+  RATE_LIMIT_API_KEY_MULTIPLIER: { default: 10, min: 1, max: 1000 },
+  MAX_REQUEST_BYTES: { default: 1024 * 1024, min: 1024, max: 10 * 1024 * 1024 },
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const RATE_LIMIT_FAILURE_MODES = ['open', 'closed'];
+
+/**
+ * Error message for an integer setting that is set but invalid, or null
+ */
+function checkInteger(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return null;
+
+  const { min, max } = INTEGER_SETTINGS[name];
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return `${name} must be an integer between ${min} and ${max}, got "${value}".`;
+  }
+  return null;
+}
+
+/**
+ * Value of an integer setting, or its default when unset or invalid
+ */
+function readInteger(name) {
+  return checkInteger(name) || !process.env[name]
+    ? INTEGER_SETTINGS[name].default
+    : Number(process.env[name]);
+}
+
+/**
+ * Comma separated list from the environment, empty when unset
+ */
+function readList(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
 /**
- * Validate required environment variables
+ * Origins allowed to call the API cross-origin. ALLOWED_ORIGINS is a comma
+ * separated list; without it production allows same-origin requests only.
+ */
+function readAllowedOrigins() {
+  if (process.env.ALLOWED_ORIGINS) {
+    return readList('ALLOWED_ORIGINS');
+  }
+  return process.env.NODE_ENV === 'production' ? [] : ['http://localhost:3000'];
+}
+
+/**
+ * Validate environment variables. Throws on a configuration the app cannot
+ * run with, listing every problem; otherwise logs and returns the warnings.
  */
 export function validateEnvironment() {
-  const required = ['HELIUS_API_KEY'];
+  const errors = [];
+
+  const provider = process.env.DATA_PROVIDER || 'helius';
+  if (!['helius', 'rpc'].includes(provider)) {
+    errors.push(`Unknown DATA_PROVIDER "${provider}". Expected "helius" or "rpc".`);
+  }
+
+  const fixturesMode = process.env.FIXTURES_MODE || 'off';
+  if (!['off', 'record', 'replay'].includes(fixturesMode)) {
+    errors.push(`Unknown FIXTURES_MODE "${fixturesMode}". Expected "off", "record" or "replay".`);
+  }
+
+  const priceSource = process.env.PRICE_SOURCE || 'none';
+  if (!['none', 'file', 'birdeye'].includes(priceSource)) {
+    errors.push(`Unknown PRICE_SOURCE "${priceSource}". Expected "none", "file" or "birdeye".`);
+  }
+
+  const logLevel = process.env.LOG_LEVEL || 'info';
+  if (!LOG_LEVELS.includes(logLevel)) {
+    errors.push(`Unknown LOG_LEVEL "${logLevel}". Expected ${LOG_LEVELS.map(level => `"${level}"`).join(', ')}.`);
+  }
+
+  const failureMode = process.env.RATE_LIMIT_FAILURE_MODE || 'open';
+  if (!RATE_LIMIT_FAILURE_MODES.includes(failureMode)) {
+    errors.push(`Unknown RATE_LIMIT_FAILURE_MODE "${failureMode}". Expected "open" or "closed".`);
+  }
+
+  Object.keys(INTEGER_SETTINGS).forEach(name => {
+    const error = checkInteger(name);
+    if (error) errors.push(error);
+  });
+
+  readAllowedOrigins().forEach(origin => {
+    if (!/^https?:\/\/[^/\s]+$/.test(origin)) {
+      errors.push(`ALLOWED_ORIGINS entry "${origin}" is not an origin (scheme and host, no path).`);
+    }
+  });
+
+  // Replaying fixtures needs no API key, but RPC fixtures are keyed by the
+  // endpoint URL, so the RPC provider still needs it to find them
+  const required = provider === 'rpc'
+    ? ['SOLANA_RPC_URL']
+    : fixturesMode === 'replay' ? [] : ['HELIUS_API_KEY'];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    errors.push(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join(' '));
   }
   
+  const warnings = [];
+
   // Validate API key format (basic check)
   if (process.env.HELIUS_API_KEY && !process.env.HELIUS_API_KEY.match(/^[a-f0-9-]{36}$/)) {
-    console.warn('HELIUS_API_KEY format appears invalid');
+    warnings.push('HELIUS_API_KEY format appears invalid');
   }
   
+  if (priceSource === 'birdeye' && !process.env.BIRDEYE_API_KEY && fixturesMode !== 'replay') {
+    warnings.push('PRICE_SOURCE is birdeye but BIRDEYE_API_KEY is missing - transfers will not be valued in USD');
+  }
+
   // Validate Redis configuration if provided
   if (process.env.UPSTASH_REDIS_REST_URL && !process.env.UPSTASH_REDIS_REST_TOKEN) {
-    console.warn('UPSTASH_REDIS_REST_URL provided but UPSTASH_REDIS_REST_TOKEN missing');
+    warnings.push('UPSTASH_REDIS_REST_URL provided but UPSTASH_REDIS_REST_TOKEN missing');
   }
   
   if (process.env.UPSTASH_REDIS_REST_TOKEN && !process.env.UPSTASH_REDIS_REST_URL) {
-    console.warn('UPSTASH_REDIS_REST_TOKEN provided but UPSTASH_REDIS_REST_URL missing');
+    warnings.push('UPSTASH_REDIS_REST_TOKEN provided but UPSTASH_REDIS_REST_URL missing');
   }
+
+  warnings.forEach(warning => log.warn(warning));
+  return warnings;
 }
 
 /**
- * Get configuration object
+ * Get configuration object, read from the environment on each call.
+ * Invalid values are replaced by their defaults here and reported by
+ * validateEnvironment.
  */
 export function getConfig() {
   return {
     helius: {
       apiKey: process.env.HELIUS_API_KEY,
       baseUrl: 'https://api.helius.xyz/v0',
-      timeout: 60000,
+    },
+    provider: {
+      name: process.env.DATA_PROVIDER || 'helius', // 'helius' or 'rpc'
+      rpcUrl: process.env.SOLANA_RPC_URL,
+    },
+    fixtures: {
+      mode: process.env.FIXTURES_MODE || 'off', // 'off', 'record' or 'replay'
+      dir: process.env.FIXTURES_DIR || 'fixtures', // Relative to the project root
+    },
+    input: {
+      maxAddresses: readInteger('MAX_INPUT_ADDRESSES'), // Wallets compared in one graph; the browser reads it too
+    },
+    pagination: {
+      pageSize: 100, // Helius maximum per request
+      maxPages: readInteger('HELIUS_MAX_PAGES'),
+    },
+    deadline: {
+      budgetMs: readInteger('REQUEST_DEADLINE_MS'), // Whole request, below the serverless limit
+      enrichmentReserveMs: readInteger('ENRICHMENT_RESERVE_MS'), // Left for entities, token metadata and prices when paginating
+    },
+    // Usual upstream timeouts in milliseconds; the request deadline can shorten them
+    timeouts: {
+      upstream: readInteger('UPSTREAM_TIMEOUT_MS'), // Provider default, and each history page
+      transaction: readInteger('TRANSACTION_TIMEOUT_MS'), // One transaction for /api/tx
+      metadata: readInteger('METADATA_TIMEOUT_MS'), // Batched token metadata, token account owners and cNFT assets
+      tokenLookup: readInteger('TOKEN_LOOKUP_TIMEOUT_MS'), // Metadata for a single token
+      entityLookup: readInteger('ENTITY_LOOKUP_TIMEOUT_MS'), // Each external label lookup (SNS, Solscan, Birdeye, Jupiter)
+      price: readInteger('PRICE_TIMEOUT_MS'), // Each historical price lookup
+      healthCheck: readInteger('HEALTH_CHECK_TIMEOUT_MS'), // Provider ping for /api/health
+    },
+    crawl: {
+      maxDepth: readInteger('CRAWL_MAX_DEPTH'),
+      maxFanOut: readInteger('CRAWL_MAX_FAN_OUT'),
+      maxTxLimit: readInteger('CRAWL_MAX_TX_LIMIT'),
+      maxAddresses: readInteger('CRAWL_MAX_ADDRESSES'), // Upstream fetches per crawl
+    },
+    entities: {
+      maxAddresses: readInteger('ENTITY_MAX_ADDRESSES'), // Addresses resolved per graph, the rest stay unlabelled
+      batchSize: readInteger('ENTITY_BATCH_SIZE'), // Addresses resolved in parallel
+    },
+    tokenMetadata: {
+      batchSize: readInteger('TOKEN_METADATA_BATCH_SIZE'), // Unknown mints per provider request
+    },
+    cache: {
+      maxEntries: readInteger('CACHE_MAX_ENTRIES'), // In-memory LRU size when Redis is not configured
+    },
+    graphCache: {
+      ttl: readInteger('GRAPH_CACHE_TTL'), // Seconds a processed graph is served as fresh
+      staleTtl: readInteger('GRAPH_CACHE_STALE_TTL'), // Seconds it may be served stale while refreshing
+    },
+    prices: {
+      source: process.env.PRICE_SOURCE || 'none', // 'none', 'file' or 'birdeye'
+      file: process.env.PRICE_HISTORY_FILE || 'prices.json', // Relative to the project root
+      // Replayed Birdeye fixtures are keyed without the API key
+      birdeyeApiKey: process.env.BIRDEYE_API_KEY || (process.env.FIXTURES_MODE === 'replay' ? 'replay' : undefined),
+      lookupConcurrency: readInteger('PRICE_LOOKUP_CONCURRENCY'), // Uncached prices looked up in parallel
     },
     redis: {
       url: process.env.UPSTASH_REDIS_REST_URL,
@@ -44,27 +243,29 @@ export function getConfig() {
       enabled: !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN),
     },
     rateLimit: {
-      requests: 10,
-      window: '60 s',
+      windowSeconds: readInteger('RATE_LIMIT_WINDOW_SECONDS'),
+      // Points each client may spend per window, by route (see lib/ratelimit.js for costs)
+      budgets: {
+        transactions: readInteger('RATE_LIMIT_TRANSACTIONS_POINTS'),
+        graph: readInteger('RATE_LIMIT_GRAPH_POINTS'),
+        tx: readInteger('RATE_LIMIT_TX_POINTS'),
+        health: readInteger('RATE_LIMIT_HEALTH_POINTS'),
+      },
+      apiKeys: readList('RATE_LIMIT_API_KEYS'), // Sent as X-API-Key for the higher tier
+      apiKeyMultiplier: readInteger('RATE_LIMIT_API_KEY_MULTIPLIER'), // Budget of the API key tier, relative to anonymous
+      // 'open' allows requests when Redis fails, 'closed' refuses them
+      failureMode: RATE_LIMIT_FAILURE_MODES.includes(process.env.RATE_LIMIT_FAILURE_MODE) ? process.env.RATE_LIMIT_FAILURE_MODE : 'open',
     },
     security: {
-      maxRequestSize: 1024 * 1024, // 1MB
-      allowedOrigins: process.env.NODE_ENV === 'production' 
-        ? ['https://your-domain.vercel.app', 'https://your-domain.com']
-        : ['http://localhost:3000'],
+      maxRequestSize: readInteger('MAX_REQUEST_BYTES'),
+      allowedOrigins: readAllowedOrigins(),
+    },
+    health: {
+      adminToken: process.env.HEALTH_ADMIN_TOKEN, // Unlocks /api/health?detailed=true
     },
     logging: {
       enabled: process.env.NODE_ENV !== 'test',
-      level: process.env.LOG_LEVEL || 'info',
+      level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info', // 'debug', 'info', 'warn' or 'error'
     }
   };
 }
-
-// Validate environment on module load
-if (typeof window === 'undefined') { // Server-side only
-  try {
-    validateEnvironment();
-  } catch (error) {
-    console.error('Environment validation failed:', error.message);
-  }
-}
@@ -0,0 +1,70 @@
+import { getConfig } from './config';
+import { createLogger } from './logger';
+
+const log = createLogger('deadline');
+
+/**
+ * A time budget for one request, shared by every stage of the pipeline.
+ *
+ * Upstream calls take `deadline.timeout(usual)` instead of a fixed timeout,
+ * so no call outlives the request. Optional stages (entities, token
+ * metadata, prices...) check `deadline.expired()` and skip what is left,
+ * recording it with `deadline.degrade(stage, message)`, so the response
+ * carries partial data and a `degraded` list instead of failing.
+ */
+export class Deadline {
+  constructor(budgetMs) {
+    this.expiresAt = Date.now() + budgetMs;
+    this.degraded = [];
+  }
+
+  /**
+   * Milliseconds left, never negative
+   */
+  remaining() {
+    return Math.max(0, this.expiresAt - Date.now());
+  }
+
+  expired() {
+    return this.remaining() === 0;
+  }
+
+  /**
+   * Timeout for one upstream call: `usualMs`, or less when the deadline is closer
+   */
+  timeout(usualMs) {
+    return Math.max(1, Math.min(usualMs, this.remaining()));
+  }
+
+  /**
+   * Record that `stage` was cut short. Each stage is listed once.
+   */
+  degrade(stage, message) {
+    log.info('Request degraded', { stage, reason: message });
+    if (!this.degraded.some(entry => entry.stage === stage)) {
+      this.degraded.push({ stage, message });
+    }
+  }
+}
+
+/**
+ * Whether an upstream call failed by running out of time
+ */
+export function isTimeoutError(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '');
+}
+
+/**
+ * Deadline for an API request, from the configured budget
+ */
+export function createRequestDeadline() {
+  return new Deadline(getConfig().deadline.budgetMs);
+}
+
+/**
+ * A deadline that never expires, for callers without a time budget
+ * (scripts, direct library use)
+ */
+export function noDeadline() {
+  return new Deadline(Infinity);
+}
@@ -1,4 +1,14 @@
-import axios from 'axios';
+import { getConfig } from './config';
+import { http } from './http';
+import { getProvider } from './provider';
+import { cache } from './cache';
+import { noDeadline } from './deadline';
+import { createLogger } from './logger';
+
+const log = createLogger('entity-identifier');
+
+// Resolved entities are shared across requests for 24 hours
+const ENTITY_CACHE_TTL = 86400;
 
 /**
  * Entity identification service for Solana addresses
@@ -67,6 +77,7 @@ export class EntityIdentifier {
         'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB', // Jupiter
         'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', // Jupiter v6
         'JUP', // Jupiter program
+        'JUPITER', // Helius transaction source
       ],
       type: 'dex',
       description: 'DEX Aggregator'
@@ -146,6 +157,7 @@ export class EntityIdentifier {
     this.knownEntities.set('Jito', {
       addresses: [
         'JITO', // Jito program
+        'Jito4APyf642JPZPx3hGc6WWJ8zPKtRbRs4P815Awbb', // JitoSOL stake pool
       ],
       type: 'staking',
       description: 'Liquid Staking'
@@ -331,9 +343,10 @@ export class EntityIdentifier {
   }
 
   /**
-   * Get entity information for an address
+   * Get entity information for an address. External lookups are skipped
+   * once the deadline has passed.
    */
-  async getEntityInfo(address) {
+  async getEntityInfo(address, { deadline = noDeadline() } = {}) {
     if (!address) return null;
 
     // Check cache first
@@ -341,103 +354,94 @@ export class EntityIdentifier {
       return this.cache.get(address);
     }
     
-    // Check Redis cache if available
-    if (process.env.UPSTASH_REDIS_REST_URL) {
-      try {
-        const { Redis } = await import('@upstash/redis');
-        const redis = new Redis({
-          url: process.env.UPSTASH_REDIS_REST_URL,
-          token: process.env.UPSTASH_REDIS_REST_TOKEN,
-        });
-        
-        const cached = await redis.get(`entity:${address}`);
-        if (cached) {
-          const entityInfo = JSON.parse(cached);
-          this.cache.set(address, entityInfo); // Also cache in memory
-          return entityInfo;
-        }
-      } catch (error) {
-        console.log('Redis entity cache error:', error.message);
-      }
+    // Check the shared cache
+    const cached = await cache.get(`entity:${address}`);
+    if (cached) {
+      this.cache.set(address, cached); // Also cache in memory
+      return cached;
     }
 
     // Check known entities
     const knownEntity = this.findKnownEntity(address);
     if (knownEntity) {
       this.cache.set(address, knownEntity);
-      this.cacheEntityInfo(address, knownEntity); // Cache in Redis
+      this.cacheEntityInfo(address, knownEntity); // Cache across requests
       return knownEntity;
     }
 
+    const lookupTimeout = getConfig().timeouts.entityLookup;
+
     // Try to resolve SNS domain
+    if (this.pastDeadline(deadline)) return null;
     try {
-      const snsInfo = await this.resolveSNS(address);
+      const snsInfo = await this.resolveSNS(address, deadline.timeout(lookupTimeout));
       if (snsInfo) {
         this.cache.set(address, snsInfo);
-        this.cacheEntityInfo(address, snsInfo); // Cache in Redis
+        this.cacheEntityInfo(address, snsInfo); // Cache across requests
         return snsInfo;
       }
     } catch (error) {
-      console.log('SNS resolution failed for:', address);
+      log.debug('SNS resolution failed', { address, error });
     }
 
     // Try to get Solscan label
+    if (this.pastDeadline(deadline)) return null;
     try {
-      const solscanInfo = await this.getSolscanLabel(address);
+      const solscanInfo = await this.getSolscanLabel(address, deadline.timeout(lookupTimeout));
       if (solscanInfo) {
         this.cache.set(address, solscanInfo);
-        this.cacheEntityInfo(address, solscanInfo); // Cache in Redis
+        this.cacheEntityInfo(address, solscanInfo); // Cache across requests
         return solscanInfo;
       }
     } catch (error) {
-      console.log('Solscan lookup failed for:', address);
+      log.debug('Solscan lookup failed', { address, error });
     }
 
     // Try to get Birdeye token info
+    if (this.pastDeadline(deadline)) return null;
     try {
-      const birdeyeInfo = await this.getBirdeyeTokenInfo(address);
+      const birdeyeInfo = await this.getBirdeyeTokenInfo(address, deadline.timeout(lookupTimeout));
       if (birdeyeInfo) {
         this.cache.set(address, birdeyeInfo);
-        this.cacheEntityInfo(address, birdeyeInfo); // Cache in Redis
+        this.cacheEntityInfo(address, birdeyeInfo); // Cache across requests
         return birdeyeInfo;
       }
     } catch (error) {
-      console.log('Birdeye lookup failed for:', address);
+      log.debug('Birdeye lookup failed', { address, error });
     }
 
     // Try to get Jupiter token info
+    if (this.pastDeadline(deadline)) return null;
     try {
-      const jupiterInfo = await this.getJupiterTokenInfo(address);
+      const jupiterInfo = await this.getJupiterTokenInfo(address, deadline.timeout(lookupTimeout));
       if (jupiterInfo) {
         this.cache.set(address, jupiterInfo);
-        this.cacheEntityInfo(address, jupiterInfo); // Cache in Redis
+        this.cacheEntityInfo(address, jupiterInfo); // Cache across requests
         return jupiterInfo;
       }
     } catch (error) {
-      console.log('Jupiter lookup failed for:', address);
+      log.debug('Jupiter lookup failed', { address, error });
     }
 
     // Return null if no entity found
     return null;
   }
+
+  /**
+   * Whether the deadline has passed, recording that entity resolution was cut short
+   */
+  pastDeadline(deadline) {
+    if (!deadline.expired()) return false;
+    deadline.degrade('entities', 'Entity lookups stopped at the request deadline');
+    return true;
+  }
   
   /**
-   * Cache entity info in Redis
+   * Cache entity info in the shared cache
    */
   async cacheEntityInfo(address, entityInfo) {
-    if (!entityInfo || !process.env.UPSTASH_REDIS_REST_URL) return;
-    
-    try {
-      const { Redis } = await import('@upstash/redis');
-      const redis = new Redis({
-        url: process.env.UPSTASH_REDIS_REST_URL,
-        token: process.env.UPSTASH_REDIS_REST_TOKEN,
-      });
-      
-      await redis.setex(`entity:${address}`, 86400, JSON.stringify(entityInfo)); // 24 hours
-    } catch (error) {
-      console.log('Redis entity cache set error:', error.message);
-    }
+    if (!entityInfo) return;
+    await cache.set(`entity:${address}`, entityInfo, { ttl: ENTITY_CACHE_TTL });
   }
 
   /**
@@ -460,15 +464,15 @@ export class EntityIdentifier {
   /**
    * Resolve SNS domain name
    */
-  async resolveSNS(address) {
+  async resolveSNS(address, timeout = getConfig().timeouts.entityLookup) {
     try {
       // Validate address before making request
       if (!address || typeof address !== 'string' || address.length > 50) {
         return null;
       }
       
-      const response = await axios.get(`https://api.solana.name/v1/resolve/${address}`, {
-        timeout: 2000, // Reduced timeout
+      const response = await http.get(`https://api.solana.name/v1/resolve/${address}`, {
+        timeout,
         headers: {
           'User-Agent': 'SolanaVisualizer/1.0'
         }
@@ -491,10 +495,10 @@ export class EntityIdentifier {
   /**
    * Get Solscan label for address
    */
-  async getSolscanLabel(address) {
+  async getSolscanLabel(address, timeout = getConfig().timeouts.entityLookup) {
     try {
-      const response = await axios.get(`https://api.solscan.io/account?address=${address}`, {
-        timeout: 2000, // Reduced timeout
+      const response = await http.get(`https://api.solscan.io/account?address=${address}`, {
+        timeout,
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; SolanaVisualizer/1.0)'
         }
@@ -517,10 +521,10 @@ export class EntityIdentifier {
   /**
    * Get Birdeye token information
    */
-  async getBirdeyeTokenInfo(address) {
+  async getBirdeyeTokenInfo(address, timeout = getConfig().timeouts.entityLookup) {
     try {
-      const response = await axios.get(`https://public-api.birdeye.so/public/token_list?address=${address}`, {
-        timeout: 2000, // Reduced timeout
+      const response = await http.get(`https://public-api.birdeye.so/public/token_list?address=${address}`, {
+        timeout,
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; SolanaVisualizer/1.0)'
         }
@@ -551,10 +555,10 @@ export class EntityIdentifier {
   /**
    * Get Jupiter token information
    */
-  async getJupiterTokenInfo(address) {
+  async getJupiterTokenInfo(address, timeout = getConfig().timeouts.entityLookup) {
     try {
-      const response = await axios.get(`https://token.jup.ag/all`, {
-        timeout: 2000, // Reduced timeout
+      const response = await http.get(`https://token.jup.ag/all`, {
+        timeout,
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; SolanaVisualizer/1.0)'
         }
@@ -632,9 +636,9 @@ export class EntityIdentifier {
   }
 
   /**
-   * Batch resolve multiple addresses
+   * Batch resolve multiple addresses. Batches left at the deadline are skipped.
    */
-  async batchResolveAddresses(addresses) {
+  async batchResolveAddresses(addresses, { deadline = noDeadline() } = {}) {
     const results = {};
     
     // Filter out system accounts and known program IDs that don't need resolution
@@ -663,7 +667,7 @@ export class EntityIdentifier {
       'SysvarC1ock11111111111111111111111111111111', // Clock Sysvar
       'SysvarEpochSchedu1e111111111111111111111', // Epoch Schedule
       'StakeConfig11111111111111111111111111111111', // Stake Config
-      'Stake11111111111111111111111111111111111111112', // Stake Program
+      'Stake11111111111111111111111111111111111111', // Stake Program
       'Vote111111111111111111111111111111111111111', // Vote Program
       'BPFLoaderUpgradeab1e11111111111111111111111', // BPF Loader
       'BPFLoader2111111111111111111111111111111111', // BPF Loader 2
@@ -671,29 +675,30 @@ export class EntityIdentifier {
     ]);
     
     const filteredAddresses = addresses.filter(addr => !systemAccounts.has(addr));
-    console.log(`[DEBUG] Entity resolution: Filtered ${addresses.length} addresses to ${filteredAddresses.length} (removed ${addresses.length - filteredAddresses.length} system accounts)`);
+    log.debug('Entity resolution: system accounts filtered', { addresses: addresses.length, remaining: filteredAddresses.length });
     
     // Early return if no addresses to resolve
     if (filteredAddresses.length === 0) {
-      console.log('[DEBUG] Entity resolution: No addresses to resolve after filtering');
       return results;
     }
     
-    // If too many addresses, only resolve the first 20 (most important ones)
-    if (filteredAddresses.length > 20) {
-      console.log(`[DEBUG] Entity resolution: Too many addresses (${filteredAddresses.length}), limiting to first 20`);
-      filteredAddresses.splice(20);
+    // If too many addresses, only resolve the first ones (most important ones)
+    const { maxAddresses, batchSize } = getConfig().entities;
+    if (filteredAddresses.length > maxAddresses) {
+      log.debug('Entity resolution: limiting addresses', { addresses: filteredAddresses.length, maxAddresses });
+      filteredAddresses.splice(maxAddresses);
     }
     
     // Process addresses in parallel with concurrency limit
-    const batchSize = 10; // Increased batch size
     for (let i = 0; i < filteredAddresses.length; i += batchSize) {
+      if (deadline.expired()) {
+        deadline.degrade('entities', `${filteredAddresses.length - i} addresses left unresolved at the request deadline`);
+        break;
+      }
       const batch = filteredAddresses.slice(i, i + batchSize);
       const batchStartTime = Date.now();
-      console.log(`[DEBUG] Entity resolution: Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(filteredAddresses.length/batchSize)} (${batch.length} addresses)`);
-      
-      const batchPromises = batch.map(address => this.getEntityInfo(address));
-      
+      const batchPromises = batch.map(address => this.getEntityInfo(address, { deadline }));
+
       try {
         const batchResults = await Promise.all(batchPromises);
         batch.forEach((address, index) => {
@@ -703,9 +708,9 @@ export class EntityIdentifier {
         });
         
         const batchEndTime = Date.now();
-        console.log(`[DEBUG] Entity resolution: Batch ${Math.floor(i/batchSize) + 1} completed in ${batchEndTime - batchStartTime}ms`);
+        log.debug('Entity resolution: batch completed', { batch: Math.floor(i/batchSize) + 1, addresses: batch.length, durationMs: batchEndTime - batchStartTime });
       } catch (error) {
-        console.log(`Error processing batch ${Math.floor(i/batchSize) + 1}:`, error.message);
+        log.warn('Entity resolution: batch failed', { batch: Math.floor(i/batchSize) + 1, error });
         // Continue with other batches
       }
     }
@@ -716,41 +721,20 @@ export class EntityIdentifier {
   /**
    * Get enhanced token metadata including project information
    */
-  async getTokenMetadata(mintAddress) {
-    if (!mintAddress) return null;
+  async getTokenMetadata(mintAddress, { deadline = noDeadline() } = {}) {
+    if (!mintAddress || deadline.expired()) return null;
 
     try {
-      // Try to get metadata from Helius (if API key is available)
-      if (process.env.HELIUS_API_KEY) {
-        const response = await axios.post(`https://api.helius.xyz/v0/token-metadata?api-key=${process.env.HELIUS_API_KEY}`, {
-          mintAccounts: [mintAddress],
-          includeOffChain: true,
-          disableCache: false,
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000
-        });
-
-        if (response.data && response.data.length > 0) {
-          const metadata = response.data[0];
-          return {
-            name: metadata.onChainMetadata?.metadata?.data?.name || metadata.offChainMetadata?.name,
-            symbol: metadata.onChainMetadata?.metadata?.data?.symbol || metadata.offChainMetadata?.symbol,
-            description: metadata.offChainMetadata?.description,
-            image: metadata.offChainMetadata?.image,
-            externalUrl: metadata.offChainMetadata?.external_url,
-            attributes: metadata.offChainMetadata?.attributes,
-            collection: metadata.offChainMetadata?.collection,
-            decimals: metadata.onChainMetadata?.accountData?.decimals,
-            supply: metadata.onChainMetadata?.accountData?.supply,
-            mint: mintAddress
-          };
+      // Try to get metadata from the configured data provider
+      const provider = getProvider();
+      if (provider) {
+        const [metadata] = await provider.getTokenMetadata([mintAddress], { timeout: deadline.timeout(getConfig().timeouts.tokenLookup) });
+        if (metadata) {
+          return metadata;
         }
       }
     } catch (error) {
-      console.log('Helius metadata lookup failed for:', mintAddress);
+      log.debug('Token metadata lookup failed', { mint: mintAddress, error });
     }
 
     return null;
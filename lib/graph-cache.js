@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { getConfig } from './config';
+import { cache } from './cache';
+import { createLogger } from './logger';
+
+/**
+ * Cache of fully processed transaction graphs, keyed by provider, wallets,
+ * time window and cursors. Entries are fresh for `graphCache.ttl` seconds;
+ * after that they are still served, but a background rebuild refreshes them,
+ * until `graphCache.staleTtl` seconds when the cache expires them.
+ */
+
+const log = createLogger('graph-cache');
+
+// Windows ending within this long of now are treated as "the last N minutes"
+const RELATIVE_WINDOW_SLACK_MS = 2 * 60 * 1000;
+
+// Keys being rebuilt by this process, so one stale entry triggers one rebuild
+const revalidating = new Set();
+
+/**
+ * Build the cache key for a validated transaction request
+ */
+export function getGraphCacheKey({ addresses, timeRange, cursor, until }) {
+  const { provider } = getConfig();
+  const request = JSON.stringify({
+    provider: provider.name,
+    addresses,
+    window: describeWindow(timeRange),
+    cursor: cursor || null,
+    until: until || null,
+  });
+  return `graph:${crypto.createHash('sha256').update(request).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Time filters send a window ending "now", so key those by their length
+ * rather than their exact bounds; fixed ranges are keyed by both bounds
+ */
+function describeWindow(timeRange) {
+  if (!timeRange) return 'all';
+
+  const start = new Date(timeRange.start).getTime();
+  const end = new Date(timeRange.end).getTime();
+  if (Math.abs(Date.now() - end) < RELATIVE_WINDOW_SLACK_MS) {
+    return `last-${Math.round((end - start) / 60000)}m`;
+  }
+  return `${start}-${end}`;
+}
+
+/**
+ * Look up a graph. Resolves to { status: 'hit' | 'stale' | 'miss', data, cachedAt }
+ */
+export async function getCachedGraph(key) {
+  const entry = await cache.get(key);
+  if (!entry) return { status: 'miss' };
+
+  const age = (Date.now() - entry.cachedAt) / 1000;
+  return {
+    status: age < getConfig().graphCache.ttl ? 'hit' : 'stale',
+    data: entry.data,
+    cachedAt: new Date(entry.cachedAt).toISOString(),
+  };
+}
+
+/**
+ * Store a processed graph. Graphs cut short by the request deadline are
+ * partial, so they are not stored and the next request tries again.
+ */
+export async function setCachedGraph(key, data) {
+  if (data.degraded && data.degraded.length > 0) {
+    log.debug('Graph not cached: degraded', { stages: data.degraded.map(entry => entry.stage) });
+    return;
+  }
+
+  // Very large graphs can exceed the Redis request size; they just go uncached
+  await cache.set(key, { cachedAt: Date.now(), data }, { ttl: getConfig().graphCache.staleTtl });
+}
+
+/**
+ * Rebuild a stale graph in the background and store the result. `build`
+ * resolves to the data to cache and should run against its own request
+ * deadline. Failures are logged and leave the stale entry in place.
+ *
+ * Best effort: the rebuild is not awaited, so on serverless hosts it only
+ * runs for as long as the platform keeps the function alive after the
+ * response. A rebuild that is cut off leaves the stale entry to be served
+ * and revalidated again by the next request, until it expires.
+ */
+export function revalidateGraph(key, build) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  build()
+    .then(data => setCachedGraph(key, data))
+    .catch(error => log.warn('Graph revalidation failed', { error }))
+    .finally(() => revalidating.delete(key));
+}
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import { getConfig, validateEnvironment } from './config';
+import { getProvider } from './provider';
+import { cache } from './cache';
+import { entityIdentifier } from './entity-identifier';
+import { createLogger } from './logger';
+import packageJson from '../package.json';
+
+/**
+ * Health checks for /api/health: configuration, cache backend and data
+ * provider. None of them reads wallet data. The provider is only pinged for
+ * the detailed report, so anonymous polling never spends upstream quota.
+ *
+ * Each check resolves to { status, latencyMs, ... } where status is 'ok',
+ * 'error' or 'skipped'. The overall status is 'error' when any check fails.
+ */
+
+const log = createLogger('health');
+
+const startedAt = Date.now();
+
+/**
+ * Run `check` and time it, turning a failure into an 'error' result
+ */
+async function timed(name, check) {
+  const startTime = Date.now();
+  try {
+    await check();
+    return { status: 'ok', latencyMs: Date.now() - startTime };
+  } catch (error) {
+    log.warn('Health check failed', { check: name, error });
+    return { status: 'error', latencyMs: Date.now() - startTime, error: error.message };
+  }
+}
+
+function checkConfig() {
+  try {
+    return { status: 'ok', warnings: validateEnvironment() };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+async function checkCache() {
+  return { backend: cache.name, ...(await timed('cache', () => cache.ping())) };
+}
+
+async function checkProvider({ ping }) {
+  const config = getConfig();
+  // Replayed fixtures never reach the network, so there is nothing to ping
+  if (config.fixtures.mode === 'replay') {
+    return { status: 'skipped', name: config.provider.name, reason: 'Fixture replay' };
+  }
+
+  const provider = getProvider();
+  if (!provider) {
+    return { status: 'error', name: config.provider.name, error: 'Data provider not configured' };
+  }
+  if (!ping) {
+    return { status: 'ok', name: provider.name };
+  }
+  return { name: provider.name, ...(await timed('provider', () => provider.ping({ timeout: config.timeouts.healthCheck }))) };
+}
+
+/**
+ * Deployed version: package version and, on Vercel, the git commit
+ */
+export function getBuildVersion() {
+  return {
+    version: packageJson.version,
+    commit: process.env.VERCEL_GIT_COMMIT_SHA?.slice(0, 7) || null,
+  };
+}
+
+/**
+ * Whether `token` is the configured admin token. Always false when no
+ * token is configured, which disables the detailed report.
+ */
+export function isAdminToken(token) {
+  const { adminToken } = getConfig().health;
+  if (!adminToken || typeof token !== 'string') return false;
+
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Run every check. The summary only carries statuses and checks the
+ * provider is configured; `detailed` pings it and adds latencies, error
+ * messages, config warnings and cache statistics, which are for operators
+ * only.
+ */
+export async function checkHealth({ detailed = false } = {}) {
+  const config = checkConfig();
+  const [cacheCheck, provider] = await Promise.all([checkCache(), checkProvider({ ping: detailed })]);
+  const checks = { config, cache: cacheCheck, provider };
+  const status = Object.values(checks).some(check => check.status === 'error') ? 'error' : 'ok';
+
+  const report = {
+    status,
+    ...getBuildVersion(),
+    timestamp: new Date().toISOString(),
+  };
+
+  if (!detailed) {
+    return {
+      ...report,
+      checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status])),
+    };
+  }
+
+  return {
+    ...report,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    checks,
+    // Sizes only: the cached keys are wallet addresses
+    entityCache: { size: entityIdentifier.getCacheStats().size },
+  };
+}
@@ -1,16 +1,38 @@
-import axios from 'axios';
+import { getConfig } from './config';
+import { createHttpClient } from './http';
+import { createLogger } from './logger';
+import {
+  MAX_ASSET_BATCH,
+  MAX_MULTIPLE_ACCOUNTS,
+  TOKEN_2022_PROGRAM_ID,
+  normalizeAsset,
+  parseMintExtensions,
+  parseTokenAccountOwners
+} from './solana-rpc';
+
+const log = createLogger('helius');
 
 const HELIUS_BASE_URL = 'https://api.helius.xyz/v0';
+const HELIUS_RPC_URL = 'https://mainnet.helius-rpc.com/';
+
+// Enriched transaction types requested from Helius
+const TRANSACTION_TYPES = [
+  'TRANSFER', 'NFT_SALE', 'NFT_MINT', 'SWAP', 'TOKEN_MINT', 'TOKEN_BURN', 'NFT_LISTING', 'NFT_CANCEL_LISTING', 'NFT_BID', 'NFT_CANCEL_BID',
+  'COMPRESSED_NFT_MINT', 'COMPRESSED_NFT_TRANSFER', 'COMPRESSED_NFT_BURN',
+  'INIT_STAKE', 'STAKE_SOL', 'UNSTAKE_SOL', 'WITHDRAW', 'DEPOSIT',
+];
 
 /**
- * Helius API client for fetching Solana transaction data
+ * Helius API client for fetching Solana transaction data.
+ * Implements the data provider interface described in lib/provider.js.
  */
 export class HeliusClient {
   constructor(apiKey) {
+    this.name = 'helius';
     this.apiKey = apiKey;
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: HELIUS_BASE_URL,
-      timeout: 30000,
+      timeout: getConfig().timeouts.upstream,
       headers: {
         'Content-Type': 'application/json',
       },
@@ -18,181 +40,216 @@ export class HeliusClient {
   }
 
   /**
-   * Fetch transactions for a given wallet address
-   * Using basic Helius API endpoint
+   * Fetch one page of enriched transactions for a wallet, newest first.
+   * `before` and `until` are signature cursors.
    */
-  async getTransactions(address, limit = 50) {
+  async getTransactions(address, { before, until, limit = 100, timeout } = {}) {
+    const params = {
+      'api-key': this.apiKey,
+      limit: Math.min(limit, 100),
+      transactionTypes: TRANSACTION_TYPES,
+    };
+    if (before) params.before = before;
+    if (until) params.until = until;
+
     try {
-      console.log('Making Helius API request to:', `/addresses/${address}/transactions`);
-      console.log('API Key (first 10 chars):', this.apiKey.substring(0, 10) + '...');
-      
       const response = await this.client.get(`/addresses/${address}/transactions`, {
-        params: {
-          'api-key': this.apiKey,
-          limit: Math.min(limit, 50),
-        },
+        params,
+        timeout,
       });
-
-      console.log('Helius API response status:', response.status);
-      console.log('Response data length:', response.data?.length || 0);
-
-      return this.processTransactions(response.data || [], address);
+      return Array.isArray(response.data) ? response.data : [];
     } catch (error) {
-      console.error('Helius API Error:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data,
-        config: {
-          url: error.config?.url,
-          method: error.config?.method,
-          params: error.config?.params
-        }
+      this.logError('getTransactions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single enriched transaction by signature, null when not found
+   */
+  async getTransaction(signature, { timeout } = {}) {
+    try {
+      const response = await this.client.post('/transactions', {
+        transactions: [signature],
+      }, {
+        params: { 'api-key': this.apiKey },
+        timeout,
       });
-      
-      // Handle different error types
-      if (error.response?.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.response?.status === 401) {
-        throw new Error('Invalid API key configuration.');
-      } else if (error.response?.status >= 500) {
-        throw new Error('Helius API service temporarily unavailable.');
-      }
-      
-      throw new Error(`Failed to fetch transaction data: ${error.message}`);
+      return Array.isArray(response.data) ? response.data[0] || null : null;
+    } catch (error) {
+      this.logError('getTransaction', error);
+      throw error;
     }
   }
 
   /**
-   * Process raw transaction data into nodes and edges for visualization
+   * Fetch token metadata for a list of mints, normalized to
+   * { mint, name, symbol, description, image, logo, externalUrl, attributes, collection, creators, decimals,
+   *   supply, tokenProgram, extensions }
    */
-  processTransactions(transactions, inputAddress) {
-    const nodes = new Map();
-    const edges = [];
-    
-    // Add the input wallet as the central node
-    nodes.set(inputAddress, {
-      id: inputAddress,
-      label: this.formatAddress(inputAddress),
-      type: 'input',
-      size: 60,
-    });
+  async getTokenMetadata(mints, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const response = await this.client.post('/token-metadata', {
+        mintAccounts: mints,
+        includeOffChain: true,
+        disableCache: false,
+      }, {
+        params: { 'api-key': this.apiKey },
+        timeout,
+      });
 
-    console.log('Processing', transactions.length, 'transactions');
+      if (!Array.isArray(response.data)) return [];
+      // Entries line up with `mints`, so pair them before dropping the gaps
+      return response.data
+        .map((tokenInfo, index) => tokenInfo && this.normalizeTokenMetadata(tokenInfo, mints[index]))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('getTokenMetadata', error);
+      throw error;
+    }
+  }
 
-    transactions.forEach((tx, index) => {
-      // Handle different transaction formats
-      if (tx.tokenTransfers) {
-        tx.tokenTransfers.forEach((transfer, transferIndex) => {
-          this.processTokenTransfer(transfer, tx, index, transferIndex, nodes, edges, inputAddress);
-        });
-      } else if (tx.nativeTransfers) {
-        tx.nativeTransfers.forEach((transfer, transferIndex) => {
-          this.processNativeTransfer(transfer, tx, index, transferIndex, nodes, edges, inputAddress);
+  /**
+   * Look up the owner wallet of each token account through Helius' RPC
+   * endpoint, as { [tokenAccount]: owner }. Accounts that are closed or are
+   * not token accounts are left out.
+   */
+  async getAccountOwners(accounts, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const owners = {};
+      for (let i = 0; i < accounts.length; i += MAX_MULTIPLE_ACCOUNTS) {
+        const batch = accounts.slice(i, i + MAX_MULTIPLE_ACCOUNTS);
+        const response = await this.client.post(HELIUS_RPC_URL, {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getMultipleAccounts',
+          params: [batch, { encoding: 'jsonParsed' }],
+        }, {
+          params: { 'api-key': this.apiKey },
+          timeout,
         });
+        Object.assign(owners, parseTokenAccountOwners(batch, response.data?.result?.value));
       }
-    });
-
-    const result = {
-      nodes: Array.from(nodes.values()),
-      edges: edges,
-      totalTransactions: transactions.length,
-      processedAt: new Date().toISOString(),
-    };
-
-    console.log('Processed result:', {
-      nodes: result.nodes.length,
-      edges: result.edges.length
-    });
-
-    return result;
+      return owners;
+    } catch (error) {
+      this.logError('getAccountOwners', error);
+      throw error;
+    }
   }
 
   /**
-   * Process token transfers
+   * Fetch compressed NFT asset data through Helius' DAS API, normalized to
+   * [{ id, name, symbol, image, collection, compressed }]
    */
-  processTokenTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, inputAddress) {
-    const fromAddress = transfer.fromUserAccount;
-    const toAddress = transfer.toUserAccount;
-    
-    // Only include direct transactions
-    if (fromAddress === inputAddress || toAddress === inputAddress) {
-      this.addNodeIfNeeded(fromAddress, nodes, inputAddress);
-      this.addNodeIfNeeded(toAddress, nodes, inputAddress);
-
-      if (fromAddress && toAddress) {
-        edges.push({
-          id: `${fromAddress}-${toAddress}-${txIndex}-${transferIndex}`,
-          source: fromAddress,
-          target: toAddress,
-          type: this.getTransactionType(transfer),
-          amount: transfer.tokenAmount || 0,
-          mint: transfer.mint,
-          signature: tx.signature,
-          timestamp: tx.timestamp,
-          tokenSymbol: transfer.tokenSymbol || 'Unknown',
-          uiAmount: transfer.uiTokenAmount?.uiAmount || transfer.tokenAmount,
-          decimals: transfer.uiTokenAmount?.decimals || 0,
+  async getAssets(assetIds, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const assets = [];
+      for (let i = 0; i < assetIds.length; i += MAX_ASSET_BATCH) {
+        const response = await this.client.post(HELIUS_RPC_URL, {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getAssetBatch',
+          params: {
+            ids: assetIds.slice(i, i + MAX_ASSET_BATCH),
+            displayOptions: { showCollectionMetadata: true },
+          },
+        }, {
+          params: { 'api-key': this.apiKey },
+          timeout,
         });
+        assets.push(...(response.data?.result || []).filter(Boolean).map(normalizeAsset));
       }
+      return assets;
+    } catch (error) {
+      this.logError('getAssets', error);
+      throw error;
     }
   }
 
   /**
-   * Process native SOL transfers
+   * Check Helius is reachable and the API key is accepted with the RPC
+   * getHealth method, which reads no account data
    */
-  processNativeTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, inputAddress) {
-    const fromAddress = transfer.fromUserAccount;
-    const toAddress = transfer.toUserAccount;
-    
-    if (fromAddress === inputAddress || toAddress === inputAddress) {
-      this.addNodeIfNeeded(fromAddress, nodes, inputAddress);
-      this.addNodeIfNeeded(toAddress, nodes, inputAddress);
-
-      if (fromAddress && toAddress) {
-        edges.push({
-          id: `${fromAddress}-${toAddress}-${txIndex}-${transferIndex}`,
-          source: fromAddress,
-          target: toAddress,
-          type: 'SOL',
-          amount: transfer.amount || 0,
-          signature: tx.signature,
-          timestamp: tx.timestamp,
-        });
-      }
+  async ping({ timeout = getConfig().timeouts.healthCheck } = {}) {
+    const response = await this.client.post(HELIUS_RPC_URL, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'getHealth',
+    }, {
+      params: { 'api-key': this.apiKey },
+      timeout,
+    });
+
+    if (response.data?.error) {
+      throw new Error(`Helius getHealth failed: ${response.data.error.message}`);
     }
   }
 
   /**
-   * Add node if it doesn't exist
+   * Fetch SOL and token balances for a wallet, normalized to
+   * { lamports, tokens: [{ mint, amount, decimals, tokenAccount }] }
    */
-  addNodeIfNeeded(address, nodes, inputAddress) {
-    if (address && address !== inputAddress && !nodes.has(address)) {
-      nodes.set(address, {
-        id: address,
-        label: this.formatAddress(address),
-        type: 'wallet',
-        size: 40,
+  async getBalances(address) {
+    try {
+      const response = await this.client.get(`/addresses/${address}/balances`, {
+        params: { 'api-key': this.apiKey },
       });
+
+      return {
+        lamports: response.data?.nativeBalance || 0,
+        tokens: (response.data?.tokens || []).map(token => ({
+          mint: token.mint,
+          amount: token.amount,
+          decimals: token.decimals,
+          tokenAccount: token.tokenAccount,
+        })),
+      };
+    } catch (error) {
+      this.logError('getBalances', error);
+      throw error;
     }
   }
 
   /**
-   * Determine transaction type based on transfer data
+   * Map a Helius token-metadata entry to the provider metadata shape
    */
-  getTransactionType(transfer) {
-    // NFTs typically have amount of 1 and specific metadata
-    if (transfer.tokenAmount === 1 || transfer.uiTokenAmount?.uiAmount === 1) {
-      return 'NFT';
-    }
-    return 'SPL_TOKEN';
+  normalizeTokenMetadata(tokenInfo, requestedMint) {
+    const onChain = tokenInfo.onChainMetadata?.metadata?.data;
+    // Off-chain JSON is nested under `metadata` in current responses
+    const offChain = tokenInfo.offChainMetadata?.metadata || tokenInfo.offChainMetadata;
+    const mintAccount = tokenInfo.onChainAccountInfo?.accountInfo;
+    const parsedMint = mintAccount?.data?.parsed?.info;
+    const isToken2022 = mintAccount?.owner === TOKEN_2022_PROGRAM_ID || mintAccount?.data?.program === 'spl-token-2022';
+
+    return {
+      mint: tokenInfo.account || tokenInfo.mint || requestedMint,
+      name: onChain?.name || offChain?.name || null,
+      symbol: onChain?.symbol || offChain?.symbol || null,
+      description: offChain?.description,
+      image: offChain?.image,
+      logo: offChain?.logoURI || offChain?.image,
+      externalUrl: offChain?.external_url,
+      attributes: offChain?.attributes,
+      collection: offChain?.collection || onChain?.collection,
+      creators: onChain?.creators ? onChain.creators.map(creator => creator.address) : null,
+      decimals: parsedMint?.decimals ?? tokenInfo.onChainMetadata?.accountData?.decimals,
+      supply: parsedMint?.supply ?? tokenInfo.onChainMetadata?.accountData?.supply,
+      tokenProgram: mintAccount ? (isToken2022 ? 'spl-token-2022' : 'spl-token') : null,
+      extensions: parseMintExtensions(parsedMint),
+    };
   }
 
   /**
-   * Format wallet address for display
+   * Log request failures without leaking the API key from the request params
    */
-  formatAddress(address) {
-    if (!address) return '';
-    return `${address.slice(0, 4)}...${address.slice(-4)}`;
+  logError(method, error) {
+    log.error('Helius API request failed', {
+      method,
+      error: error.message,
+      status: error.response?.status,
+      data: error.response?.data,
+      url: error.config?.url,
+    });
   }
 
   /**
@@ -202,9 +259,9 @@ export class HeliusClient {
     if (!address || typeof address !== 'string') {
       return false;
     }
-    
+
     // Basic Solana address validation (Base58, length 32-44 characters)
     const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
     return base58Regex.test(address.trim());
   }
-} 
\ No newline at end of file
+}
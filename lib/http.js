@@ -0,0 +1,181 @@
+import axios, { AxiosError } from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config';
+import { createLogger } from './logger';
+
+/**
+ * Shared HTTP client for all upstream calls (Helius, Solana RPC, SNS,
+ * Solscan, Birdeye, Jupiter).
+ *
+ * With FIXTURES_MODE=record every upstream response is saved to
+ * FIXTURES_DIR keyed by request; with FIXTURES_MODE=replay responses are
+ * served back from there and nothing goes out over the network. API keys
+ * are stripped from the request before it is keyed, so fixtures recorded
+ * with one key replay under any other (or none).
+ */
+
+const log = createLogger('http');
+
+// Query/body fields that carry credentials and must not affect the key
+const SECRET_PARAMS = ['api-key', 'api_key', 'apiKey', 'token'];
+
+/**
+ * Create an axios instance wired to the fixture adapter when enabled
+ */
+export function createHttpClient(options = {}) {
+  const client = axios.create(options);
+  const { fixtures } = getConfig();
+
+  if (fixtures.mode === 'record' || fixtures.mode === 'replay') {
+    client.defaults.adapter = fixtureAdapter(fixtures);
+  }
+
+  return client;
+}
+
+/**
+ * Build an adapter that records or replays responses for `fixtures.mode`
+ */
+function fixtureAdapter({ mode, dir }) {
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  return async function adapter(config) {
+    const request = describeRequest(config);
+    const file = path.resolve(dir, fixtureName(request));
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        throw new AxiosError(
+          `No fixture for ${request.method.toUpperCase()} ${request.url}`,
+          'EFIXTURE_MISSING',
+          config
+        );
+      }
+
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return settle(config, {
+        data: fixture.response.data,
+        status: fixture.response.status,
+        statusText: fixture.response.statusText,
+        headers: fixture.response.headers,
+        config,
+        request: null,
+      });
+    }
+
+    // Record mode: go to the network, then save whatever came back
+    try {
+      const response = await networkAdapter(config);
+      writeFixture(file, request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        writeFixture(file, request, error.response);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Normalize a request into the parts that identify it: method, URL without
+ * query string, sorted query params and body, all with credentials removed
+ */
+function describeRequest(config) {
+  const fullUrl = new URL(
+    config.baseURL && !/^https?:\/\//.test(config.url)
+      ? `${config.baseURL.replace(/\/$/, '')}/${config.url.replace(/^\//, '')}`
+      : config.url
+  );
+
+  const params = {};
+  fullUrl.searchParams.forEach((value, key) => {
+    params[key] = value;
+  });
+  Object.entries(config.params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params[key] = value;
+  });
+  SECRET_PARAMS.forEach(key => delete params[key]);
+
+  let data = config.data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      // Not JSON, key on the raw body
+    }
+  }
+
+  return {
+    method: (config.method || 'get').toLowerCase(),
+    url: `${fullUrl.origin}${fullUrl.pathname}`,
+    params: sortKeys(params),
+    data: data === undefined ? null : data,
+  };
+}
+
+/**
+ * Readable, stable file name: host, path and a hash of the full request
+ */
+function fixtureName(request) {
+  const { hostname, pathname } = new URL(request.url);
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  const slug = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, '_').slice(0, 80);
+  return `${slug}_${hash}.json`;
+}
+
+function writeFixture(file, request, response) {
+  let data = response.data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      // Keep non-JSON bodies as text
+    }
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'content-type': response.headers?.['content-type'] },
+        data,
+      },
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+  } catch (error) {
+    log.warn('Fixture write failed', { file, error });
+  }
+}
+
+/**
+ * Resolve or reject like the network adapters do, honouring validateStatus
+ */
+function settle(config, response) {
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
+
+function sortKeys(object) {
+  return Object.keys(object).sort().reduce((sorted, key) => {
+    const value = object[key];
+    sorted[key] = Array.isArray(value) ? value.map(String) : String(value);
+    return sorted;
+  }, {});
+}
+
+// Shared instance for one-off upstream lookups
+export const http = createHttpClient();
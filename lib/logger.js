@@ -0,0 +1,128 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { getConfig } from './config';
+
+/**
+ * Structured, leveled logging for the server.
+ *
+ * Each entry is one JSON line: { time, level, module, requestId, message,
+ * ...fields }. Entries below `config.logging.level` are dropped, and nothing
+ * is written when logging is disabled. The request ID comes from the API
+ * route wrapped with `withRequestLogging`, so modules deep in the pipeline
+ * log under the request that called them without passing it around.
+ *
+ * API keys, tokens and full wallet addresses never reach the log drain:
+ * secret fields are replaced and addresses shortened to `abcd...wxyz`.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged
+const SECRET_FIELDS = /^(api-?key|apikey|token|secret|password|authorization)$/i;
+
+const API_KEY_PARAM = /(api-?key=)[^&\s"']+/gi;
+const UUID = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+// Base58 public keys; signatures are longer and are left whole
+const ADDRESS = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+
+const MAX_DEPTH = 4;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Replace secrets and shorten addresses in a string
+ */
+function redactString(value) {
+  return value
+    .replace(API_KEY_PARAM, '$1[redacted]')
+    .replace(UUID, '[redacted]')
+    .replace(ADDRESS, address => `${address.slice(0, 4)}...${address.slice(-4)}`);
+}
+
+/**
+ * Copy of a log field with secrets and addresses redacted. Errors keep
+ * their message, code and upstream status; deep objects are cut off.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return redact({
+      message: value.message,
+      code: value.code,
+      status: value.response?.status,
+    }, depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const redacted = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    redacted[key] = SECRET_FIELDS.test(key) ? '[redacted]' : redact(field, depth + 1);
+  }
+  return redacted;
+}
+
+function isEnabled(level) {
+  const { enabled, level: minimum } = getConfig().logging;
+  return enabled && LEVELS[level] >= (LEVELS[minimum] || LEVELS.info);
+}
+
+function write(level, module, message, fields) {
+  if (!isEnabled(level)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module,
+    requestId: requestContext.getStore()?.requestId,
+    message: redactString(message),
+    ...redact(fields || {}),
+  };
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Logger for one module: `log.info(message, fields)` and likewise for
+ * debug, warn and error
+ */
+export function createLogger(module) {
+  return {
+    debug: (message, fields) => write('debug', module, message, fields),
+    info: (message, fields) => write('info', module, message, fields),
+    warn: (message, fields) => write('warn', module, message, fields),
+    error: (message, fields) => write('error', module, message, fields),
+  };
+}
+
+/**
+ * Request ID from the caller or the platform, otherwise a new one
+ */
+function getRequestId(req) {
+  const header = req.headers['x-request-id'] || req.headers['x-vercel-id'];
+  if (typeof header === 'string' && /^[\w.:-]{1,128}$/.test(header)) {
+    return header;
+  }
+  return crypto.randomUUID();
+}
+
+/**
+ * Wrap an API route so everything it logs carries one request ID, which is
+ * also returned to the client in the X-Request-Id header
+ */
+export function withRequestLogging(handler) {
+  return (req, res) => {
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    return requestContext.run({ requestId }, () => handler(req, res));
+  };
+}
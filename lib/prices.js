@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config';
+import { createHttpClient } from './http';
+import { cache } from './cache';
+import { noDeadline } from './deadline';
+import { createLogger } from './logger';
+
+/**
+ * Historical USD prices for valuing transfers.
+ *
+ * Every price source implements the same interface:
+ * - getPrice(mint, timestamp, { timeout }) -> USD price of one whole token
+ *   at that time (unix seconds), or null when unknown
+ * - pointInTime: true when prices are local and exact to the timestamp
+ *
+ * Native SOL is priced as wrapped SOL. Point-in-time sources are asked for
+ * each edge's own timestamp and never cached. Remote daily sources are
+ * looked up per UTC day and kept in the shared cache, so a graph with
+ * hundreds of transfers needs one lookup per token per day.
+ */
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const log = createLogger('prices');
+
+const DAY_SECONDS = 86400;
+const PAST_PRICE_CACHE_TTL = 30 * 86400; // Closed days do not change
+const TODAY_PRICE_CACHE_TTL = 3600;
+
+/**
+ * Offline price history from a local JSON or CSV file.
+ *
+ * JSON maps each mint to its prices by date:
+ *   { "<mint>": { "2024-01-31": 101.2, "2024-02-01": 99.8 } }
+ * CSV has a header row and one price per line:
+ *   mint,date,usd
+ *   <mint>,2024-01-31,101.2
+ *
+ * Dates are YYYY-MM-DD or unix seconds, and `SOL` may be used for the SOL
+ * mint. A transfer takes the latest price at or before its timestamp.
+ */
+export class FilePriceSource {
+  constructor(file) {
+    this.name = 'file';
+    this.pointInTime = true;
+    this.file = path.resolve(file);
+    this.history = null;
+  }
+
+  async getPrice(mint, timestamp) {
+    const points = this.load().get(mint) || [];
+    let price = null;
+    for (const point of points) {
+      if (point.timestamp > timestamp) break;
+      price = point.usd;
+    }
+    return price;
+  }
+
+  /**
+   * Read and index the file on first use: mint -> [{ timestamp, usd }] by time
+   */
+  load() {
+    if (this.history) return this.history;
+
+    this.history = new Map();
+    const add = (mint, date, usd) => {
+      const key = mint === 'SOL' ? SOL_MINT : mint;
+      const timestamp = /^\d+$/.test(String(date)) ? Number(date) : Date.parse(date) / 1000;
+      const value = Number(usd);
+      if (!key || Number.isNaN(timestamp) || Number.isNaN(value)) return;
+
+      if (!this.history.has(key)) this.history.set(key, []);
+      this.history.get(key).push({ timestamp, usd: value });
+    };
+
+    try {
+      const contents = fs.readFileSync(this.file, 'utf8');
+      if (this.file.endsWith('.csv')) {
+        contents.split(/\r?\n/).slice(1).forEach(line => {
+          const [mint, date, usd] = line.split(',').map(value => value.trim());
+          if (mint) add(mint, date, usd);
+        });
+      } else {
+        Object.entries(JSON.parse(contents)).forEach(([mint, prices]) => {
+          Object.entries(prices).forEach(([date, usd]) => add(mint, date, usd));
+        });
+      }
+    } catch (error) {
+      log.error('Price history could not be read', { file: this.file, error });
+    }
+
+    this.history.forEach(points => points.sort((a, b) => a.timestamp - b.timestamp));
+    return this.history;
+  }
+}
+
+/**
+ * Live daily prices from Birdeye's price history API
+ */
+export class BirdeyePriceSource {
+  constructor(apiKey) {
+    this.name = 'birdeye';
+    this.pointInTime = false;
+    this.client = createHttpClient({
+      baseURL: 'https://public-api.birdeye.so',
+      timeout: getConfig().timeouts.price,
+      headers: {
+        'X-API-KEY': apiKey,
+        'x-chain': 'solana',
+      },
+    });
+  }
+
+  async getPrice(mint, timestamp, { timeout } = {}) {
+    const day = Math.floor(timestamp / DAY_SECONDS) * DAY_SECONDS;
+    const response = await this.client.get('/defi/history_price', {
+      ...(timeout && { timeout }),
+      params: {
+        address: mint,
+        address_type: 'token',
+        type: '1D',
+        time_from: day,
+        time_to: day + DAY_SECONDS,
+      },
+    });
+
+    const items = response.data?.data?.items || [];
+    return items.length > 0 ? Number(items[0].value) : null;
+  }
+}
+
+let priceSource = null;
+let priceSourceKey = null;
+
+/**
+ * Get the configured price source, or null when transfers are not valued
+ */
+export function getPriceSource() {
+  const { prices } = getConfig();
+  const key = `${prices.source}:${prices.file}:${prices.birdeyeApiKey}`;
+
+  if (priceSourceKey === key) {
+    return priceSource;
+  }
+
+  priceSourceKey = key;
+  if (prices.source === 'file') {
+    priceSource = new FilePriceSource(prices.file);
+  } else if (prices.source === 'birdeye' && prices.birdeyeApiKey) {
+    priceSource = new BirdeyePriceSource(prices.birdeyeApiKey);
+  } else {
+    priceSource = null;
+  }
+  return priceSource;
+}
+
+/**
+ * SOL transfers and staking edges that moved a known amount of SOL
+ */
+function isSolEdge(edge) {
+  return edge.type === 'SOL' || (edge.type === 'STAKE' && edge.solAmount > 0);
+}
+
+/**
+ * Value SOL, stake and SPL token edges in USD at their timestamps, setting
+ * `usdPrice` (per token) and `usdValue` on every edge with a known price.
+ * Edges are updated in place; lookups that fail are logged and skipped, and
+ * lookups still missing at the deadline are left out.
+ */
+export async function valueEdges(edges, { deadline = noDeadline() } = {}) {
+  const source = getPriceSource();
+  if (!source || !edges || edges.length === 0) return edges;
+
+  const startTime = Date.now();
+  const valued = edges
+    .filter(edge => isSolEdge(edge) || (edge.type === 'SPL_TOKEN' && edge.mint))
+    .filter(edge => edge.timestamp)
+    .map(edge => {
+      const mint = isSolEdge(edge) ? SOL_MINT : edge.mint;
+      const time = source.pointInTime
+        ? edge.timestamp
+        : Math.floor(edge.timestamp / DAY_SECONDS) * DAY_SECONDS;
+      return { edge, key: `price:${source.name}:${mint}:${time}`, mint, time };
+    });
+  if (valued.length === 0) return edges;
+
+  // One lookup per token per day (or per timestamp), from the cache first
+  const lookups = Array.from(new Map(valued.map(entry => [entry.key, entry])).values());
+  const prices = new Map();
+  let missing = lookups;
+  if (!source.pointInTime) {
+    const cached = await cache.mget(lookups.map(entry => entry.key));
+    missing = lookups.filter((entry, index) => {
+      if (!cached[index]) return true;
+      prices.set(entry.key, cached[index].usd);
+      return false;
+    });
+  }
+
+  const { timeouts, prices: { lookupConcurrency } } = getConfig();
+  for (let i = 0; i < missing.length; i += lookupConcurrency) {
+    if (deadline.expired()) {
+      deadline.degrade('prices', `${missing.length - i} of ${lookups.length} prices not looked up`);
+      break;
+    }
+    await Promise.all(missing.slice(i, i + lookupConcurrency).map(async ({ key, mint, time }) => {
+      try {
+        const usd = await source.getPrice(mint, time, { timeout: deadline.timeout(timeouts.price) });
+        prices.set(key, usd);
+        if (source.pointInTime) return;
+
+        // Unknown prices are cached too, so they are not looked up again
+        const isToday = time + DAY_SECONDS > Date.now() / 1000;
+        await cache.set(key, { usd }, { ttl: isToday ? TODAY_PRICE_CACHE_TTL : PAST_PRICE_CACHE_TTL });
+      } catch (error) {
+        log.warn('Price lookup failed', { mint, error });
+      }
+    }));
+  }
+
+  valued.forEach(({ edge, key }) => {
+    const usd = prices.get(key);
+    if (usd === null || usd === undefined) return;
+
+    const amount = isSolEdge(edge) ? edge.solAmount : edge.uiAmount;
+    edge.usdPrice = usd;
+    edge.usdValue = (Number(amount) || 0) * usd;
+  });
+
+  log.debug('Edges valued', { edges: valued.length, prices: lookups.length, uncached: missing.length, durationMs: Date.now() - startTime });
+  return edges;
+}
@@ -0,0 +1,64 @@
+import { getConfig, validateEnvironment } from './config';
+import { HeliusClient } from './helius';
+import { createLogger } from './logger';
+import { SolanaRpcClient } from './solana-rpc';
+
+/**
+ * Data provider selection.
+ *
+ * Every provider implements the same interface:
+ * - getTransactions(address, { before, until, limit, timeout }) -> enriched transactions, newest first
+ * - getTransaction(signature, { timeout }) -> one enriched transaction, or null when not found
+ * - getTokenMetadata(mints, { timeout }) -> [{ mint, name, symbol, decimals, supply, creators, tokenProgram, extensions, ... }]
+ * - getAccountOwners(tokenAccounts, { timeout }) -> { [tokenAccount]: owner wallet }
+ * - getAssets(assetIds, { timeout }) -> [{ id, name, symbol, image, collection, compressed }] from DAS
+ * - getBalances(address) -> { lamports, tokens: [{ mint, amount, decimals, tokenAccount }] }
+ * - ping({ timeout }) -> resolves when the upstream is reachable, for health checks
+ *
+ * Transactions use the Helius enriched shape (nativeTransfers, tokenTransfers,
+ * accountData) whichever provider produced them.
+ */
+
+const log = createLogger('provider');
+
+// Validate environment on module load. Not done in lib/config.js, which
+// the logger itself reads.
+try {
+  validateEnvironment();
+} catch (error) {
+  log.error('Environment validation failed', { error });
+}
+
+let provider = null;
+let providerKey = null;
+
+/**
+ * Get the configured data provider, or null when it is missing credentials
+ */
+export function getProvider() {
+  const config = getConfig();
+  const { name } = config.provider;
+  const key = name === 'rpc' ? `rpc:${config.provider.rpcUrl}` : `helius:${config.helius.apiKey}`;
+
+  if (provider && providerKey === key) {
+    return provider;
+  }
+
+  if (name === 'rpc') {
+    if (!config.provider.rpcUrl) {
+      log.error('SOLANA_RPC_URL not configured');
+      return null;
+    }
+    provider = new SolanaRpcClient(config.provider.rpcUrl);
+  } else {
+    // Replayed fixtures are keyed without credentials, so none are needed
+    if (!config.helius.apiKey && config.fixtures.mode !== 'replay') {
+      log.error('HELIUS_API_KEY not configured');
+      return null;
+    }
+    provider = new HeliusClient(config.helius.apiKey);
+  }
+
+  providerKey = key;
+  return provider;
+}
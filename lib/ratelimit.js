@@ -1,53 +1,191 @@
+import crypto from 'crypto';
 import { Ratelimit } from '@upstash/ratelimit';
 import { Redis } from '@upstash/redis';
+import { getConfig } from './config';
+import { createLogger } from './logger';
 
-// Create Redis instance (only if Redis credentials are available)
-let redis;
-let ratelimit;
+/**
+ * Cost-weighted rate limiting per route.
+ *
+ * Each route ('transactions', 'graph', 'tx', 'health') has its own budget of points
+ * per window. A request spends points by what it will fetch upstream: how
+ * many wallets, how long a time window and, for crawls, how many hops.
+ * Anonymous clients are limited per IP; clients sending a configured
+ * `X-API-Key` get a budget `apiKeyMultiplier` times larger, per key.
+ *
+ * Needs Redis; without it every request is allowed. When Redis fails,
+ * `failureMode` decides: 'open' allows the request, 'closed' refuses it.
+ */
 
-if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-  redis = new Redis({
-    url: process.env.UPSTASH_REDIS_REST_URL,
-    token: process.env.UPSTASH_REDIS_REST_TOKEN,
-  });
+const log = createLogger('ratelimit');
 
-  // Create rate limiter
-  ratelimit = new Ratelimit({
-    redis: redis,
-    limiter: Ratelimit.slidingWindow(10, '60 s'), // 10 requests per minute
-    analytics: true,
-  });
+// Weight of a time window by its length in days: longer windows page
+// further back through history
+const WINDOW_WEIGHTS = [
+  { maxDays: 1, weight: 1 },
+  { maxDays: 7, weight: 2 },
+  { maxDays: 30, weight: 4 },
+];
+// Longer windows, or none: as many pages as pagination allows
+const UNBOUNDED_WINDOW_WEIGHT = 8;
+
+// One limiter per route, tier and budget, created on first use
+const limiters = new Map();
+let redis = null;
+
+function getWindowWeight(timeRange) {
+  if (!timeRange) return UNBOUNDED_WINDOW_WEIGHT;
+
+  const days = (new Date(timeRange.end) - new Date(timeRange.start)) / 86400000;
+  const tier = WINDOW_WEIGHTS.find(({ maxDays }) => days <= maxDays);
+  return tier ? tier.weight : UNBOUNDED_WINDOW_WEIGHT;
+}
+
+/**
+ * Points a validated request costs on `route`:
+ * - transactions: wallets x window weight
+ * - graph: addresses the crawl may fetch x pages per address x window weight
+ * - tx, health: 1
+ */
+export function getRequestCost(route, request) {
+  switch (route) {
+    case 'transactions':
+      return request.addresses.length * getWindowWeight(request.timeRange);
+    case 'graph': {
+      const { depth, fanOut, txLimit, timeRange } = request;
+      const { crawl, pagination } = getConfig();
+      // The root, then up to fanOut new counterparties per address per hop
+      let addresses = 0;
+      for (let hop = 0; hop < depth; hop++) {
+        addresses += fanOut ** hop;
+      }
+      const fetched = Math.min(addresses, crawl.maxAddresses);
+      return fetched * Math.ceil(txLimit / pagination.pageSize) * getWindowWeight(timeRange);
+    }
+    default:
+      return 1;
+  }
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
 }
 
 /**
- * Check if request should be rate limited
- * @param {string} identifier - Usually IP address or user ID
- * @returns {Promise<{success: boolean, limit: number, remaining: number, reset: Date}>}
+ * Who a request is limited as: { tier, id }, or null when it sends an API
+ * key that is not configured. Keys are stored hashed, never in Redis.
  */
-export async function checkRateLimit(identifier) {
+export function getRateLimitClient(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return { tier: 'anonymous', id: `ip:${getClientIP(req)}` };
+  }
+
+  const hashed = hashKey(String(apiKey));
+  const known = getConfig().rateLimit.apiKeys.some(key => crypto.timingSafeEqual(
+    Buffer.from(hashKey(key), 'hex'),
+    Buffer.from(hashed, 'hex')
+  ));
+  return known ? { tier: 'api-key', id: `key:${hashed.slice(0, 16)}` } : null;
+}
+
+function getLimiter(route, tier, points, windowSeconds) {
+  const key = `${route}:${tier}:${points}:${windowSeconds}`;
+  if (!limiters.has(key)) {
+    if (!redis) {
+      const { url, token } = getConfig().redis;
+      redis = new Redis({ url, token });
+    }
+    limiters.set(key, new Ratelimit({
+      redis,
+      limiter: Ratelimit.slidingWindow(points, `${windowSeconds} s`),
+      prefix: `ratelimit:${route}:${tier}`,
+      analytics: true,
+    }));
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Spend `cost` points of `client`'s budget on `route`. Resolves to
+ * { success, limit, remaining, reset, cost }, with `unavailable` set when
+ * Redis failed; `remaining` and `reset` are null when they are unknown.
+ * A cost above the whole budget is charged as the whole budget.
+ */
+export async function checkRateLimit(client, route, cost = 1) {
+  const { redis: redisConfig, rateLimit } = getConfig();
+
   // If rate limiting is not configured, allow all requests
-  if (!ratelimit) {
-    console.warn('Rate limiting not configured - allowing request');
-    return { success: true, limit: Infinity, remaining: Infinity, reset: new Date() };
+  if (!redisConfig.enabled) {
+    log.debug('Rate limiting not configured - allowing request');
+    return { success: true, limit: Infinity, remaining: Infinity, reset: null, cost };
   }
 
+  const multiplier = client.tier === 'api-key' ? rateLimit.apiKeyMultiplier : 1;
+  const limit = rateLimit.budgets[route] * multiplier;
+  const charged = Math.min(cost, limit);
+
   try {
-    const result = await ratelimit.limit(identifier);
-    return result;
+    const limiter = getLimiter(route, client.tier, limit, rateLimit.windowSeconds);
+    const result = await limiter.limit(client.id, { rate: charged });
+    return { success: result.success, limit, remaining: result.remaining, reset: result.reset, cost: charged };
   } catch (error) {
-    console.error('Rate limiting error:', error);
-    // If rate limiting fails, allow the request but log the error
-    return { success: true, limit: 10, remaining: 5, reset: new Date() };
+    const allowed = rateLimit.failureMode === 'open';
+    log.error(`Rate limiting failed - ${allowed ? 'allowing' : 'refusing'} request`, { route, error });
+    return { success: allowed, unavailable: true, limit, remaining: null, reset: null, cost: charged };
   }
 }
 
+/**
+ * Rate limit a request to `route` costing `cost` points, setting the
+ * X-RateLimit-* headers. Returns true when a response has already been sent
+ * (unknown API key, budget spent, or limiter unavailable and failing closed)
+ * and the handler should stop.
+ */
+export async function applyRateLimit(req, res, route, cost = 1) {
+  const client = getRateLimitClient(req);
+  if (!client) {
+    res.status(401).json({ error: 'Invalid API key' });
+    return true;
+  }
+
+  const result = await checkRateLimit(client, route, cost);
+  if (Number.isFinite(result.limit)) {
+    res.setHeader('X-RateLimit-Limit', result.limit);
+    res.setHeader('X-RateLimit-Cost', result.cost);
+    if (result.remaining !== null) res.setHeader('X-RateLimit-Remaining', result.remaining);
+    if (result.reset !== null) res.setHeader('X-RateLimit-Reset', Math.ceil(result.reset / 1000));
+  }
+
+  if (result.success) {
+    return false;
+  }
+
+  if (result.unavailable) {
+    res.status(503).json({
+      error: 'Rate limiting is unavailable. Please try again later.',
+      retryAfter: 10
+    });
+    return true;
+  }
+
+  log.info('Rate limit exceeded', { route, tier: client.tier, cost: result.cost });
+  res.status(429).json({
+    error: 'Rate limit exceeded',
+    cost: result.cost,
+    limit: result.limit,
+    retryAfter: Math.max(1, Math.ceil((result.reset - Date.now()) / 1000))
+  });
+  return true;
+}
+
 /**
  * Get client IP address from request
- * @param {NextApiRequest} req 
+ * @param {NextApiRequest} req
  * @returns {string}
  */
 export function getClientIP(req) {
   const forwarded = req.headers['x-forwarded-for'];
   const ip = forwarded ? forwarded.split(',')[0] : req.connection?.remoteAddress;
   return ip || 'unknown';
-} 
\ No newline at end of file
+}
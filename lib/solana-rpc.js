@@ -0,0 +1,471 @@
+import { getConfig } from './config';
+import { createHttpClient } from './http';
+import { createLogger } from './logger';
+
+const log = createLogger('solana-rpc');
+
+const SYSTEM_PROGRAM = 'system';
+const TOKEN_PROGRAMS = ['spl-token', 'spl-token-2022'];
+
+// getMultipleAccounts accepts at most 100 accounts per call
+export const MAX_MULTIPLE_ACCOUNTS = 100;
+
+// DAS getAssetBatch accepts at most 1000 asset ids per call
+export const MAX_ASSET_BATCH = 1000;
+
+// Token Extensions program, whose mints can charge fees or keep a permanent delegate
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+/**
+ * Notable Token-2022 extensions of a jsonParsed mint, as
+ * { transferFee: { basisPoints, maximumFee }, permanentDelegate,
+ *   confidentialTransfer, nonTransferable, transferHook } with only the
+ * extensions the mint has. Classic SPL mints have none.
+ */
+export function parseMintExtensions(mintInfo) {
+  const extensions = {};
+  (mintInfo?.extensions || []).forEach(({ extension, state }) => {
+    if (extension === 'transferFeeConfig') {
+      // The newer fee applies from its epoch on, which is the current one for recent transfers
+      const fee = state?.newerTransferFee || state?.olderTransferFee;
+      if (fee && fee.transferFeeBasisPoints > 0) {
+        extensions.transferFee = {
+          basisPoints: fee.transferFeeBasisPoints,
+          maximumFee: Number(fee.maximumFee),
+        };
+      }
+    } else if (extension === 'permanentDelegate' && state?.delegate) {
+      extensions.permanentDelegate = state.delegate;
+    } else if (extension === 'confidentialTransferMint') {
+      extensions.confidentialTransfer = true;
+    } else if (extension === 'nonTransferable') {
+      extensions.nonTransferable = true;
+    } else if (extension === 'transferHook' && state?.programId) {
+      extensions.transferHook = state.programId;
+    }
+  });
+  return extensions;
+}
+
+/**
+ * Map a DAS asset to { id, name, symbol, image, collection: { key, name } }
+ */
+export function normalizeAsset(asset) {
+  const metadata = asset.content?.metadata || {};
+  const collection = (asset.grouping || []).find(group => group.group_key === 'collection');
+  const image = asset.content?.links?.image ||
+    asset.content?.files?.find(file => file.mime?.startsWith('image/'))?.uri ||
+    null;
+
+  return {
+    id: asset.id,
+    name: metadata.name || null,
+    symbol: metadata.symbol || null,
+    image,
+    collection: collection
+      ? { key: collection.group_value, name: collection.collection_metadata?.name || null }
+      : null,
+    compressed: !!asset.compression?.compressed,
+  };
+}
+
+/**
+ * Owners of the token accounts in a jsonParsed getMultipleAccounts result,
+ * as { [tokenAccount]: owner }
+ */
+export function parseTokenAccountOwners(accounts, values) {
+  const owners = {};
+  (values || []).forEach((account, index) => {
+    const parsed = account?.data?.parsed;
+    if (TOKEN_PROGRAMS.includes(account?.data?.program) && parsed?.type === 'account' && parsed.info?.owner) {
+      owners[accounts[index]] = parsed.info.owner;
+    }
+  });
+  return owners;
+}
+
+/**
+ * Plain Solana JSON-RPC client for running against our own RPC node.
+ * Implements the data provider interface described in lib/provider.js and
+ * maps parsed transactions to the Helius enriched transaction shape so the
+ * rest of the pipeline does not need to know which provider is in use.
+ */
+export class SolanaRpcClient {
+  constructor(rpcUrl) {
+    this.name = 'rpc';
+    this.rpcUrl = rpcUrl;
+    this.client = createHttpClient({
+      timeout: getConfig().timeouts.upstream,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  /**
+   * Send a single JSON-RPC request and return its result
+   */
+  async call(method, params, { timeout } = {}) {
+    const response = await this.client.post(this.rpcUrl, {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params,
+    }, { timeout });
+
+    if (response.data?.error) {
+      throw new Error(`RPC ${method} failed: ${response.data.error.message}`);
+    }
+    return response.data?.result;
+  }
+
+  /**
+   * Send several JSON-RPC requests in one batch, results in request order.
+   * Failed entries resolve to null.
+   */
+  async batchCall(requests, { timeout } = {}) {
+    if (requests.length === 0) return [];
+
+    const response = await this.client.post(this.rpcUrl, requests.map(([method, params], index) => ({
+      jsonrpc: '2.0',
+      id: index,
+      method,
+      params,
+    })), { timeout });
+
+    const results = new Array(requests.length).fill(null);
+    (Array.isArray(response.data) ? response.data : []).forEach(entry => {
+      if (entry && !entry.error) {
+        results[entry.id] = entry.result;
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Check the node is reachable and healthy (getHealth fails on a node
+   * that is behind)
+   */
+  async ping({ timeout = getConfig().timeouts.healthCheck } = {}) {
+    await this.call('getHealth', [], { timeout });
+  }
+
+  /**
+   * Fetch one page of transactions for a wallet, newest first.
+   * `before` and `until` are signature cursors.
+   */
+  async getTransactions(address, { before, until, limit = 100, timeout } = {}) {
+    const options = { limit: Math.min(limit, 1000) };
+    if (before) options.before = before;
+    if (until) options.until = until;
+
+    try {
+      const signatures = await this.call('getSignaturesForAddress', [address, options], { timeout });
+      if (!Array.isArray(signatures) || signatures.length === 0) return [];
+
+      const transactions = await this.batchCall(signatures.map(({ signature }) => [
+        'getTransaction',
+        [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }],
+      ]), { timeout });
+
+      // Keep unfetched transactions as bare entries so the signature cursor
+      // still advances past them
+      return signatures.map((info, index) => toEnrichedTransaction(info, transactions[index]));
+    } catch (error) {
+      this.logError('getTransactions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single transaction by signature, null when not found
+   */
+  async getTransaction(signature, { timeout } = {}) {
+    try {
+      const tx = await this.call('getTransaction', [
+        signature,
+        { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
+      ], { timeout });
+      if (!tx) return null;
+
+      return toEnrichedTransaction({
+        signature,
+        slot: tx.slot,
+        blockTime: tx.blockTime,
+        err: tx.meta?.err,
+      }, tx);
+    } catch (error) {
+      this.logError('getTransaction', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch mint account data for a list of mints. Plain RPC has no name or
+   * symbol lookup, so only decimals, supply, the token program and
+   * Token-2022 extensions (including on-chain metadata) are filled in.
+   */
+  async getTokenMetadata(mints, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const result = await this.call('getMultipleAccounts', [mints, { encoding: 'jsonParsed' }], { timeout });
+
+      return (result?.value || [])
+        .map((account, index) => {
+          const info = account?.data?.parsed?.info;
+          if (!info) return null;
+          // Token-2022 mints can carry their name and symbol in an extension
+          const metadata = info.extensions?.find(entry => entry.extension === 'tokenMetadata')?.state;
+          return {
+            mint: mints[index],
+            name: metadata?.name || null,
+            symbol: metadata?.symbol || null,
+            decimals: info.decimals,
+            supply: info.supply,
+            tokenProgram: account.data.program,
+            extensions: parseMintExtensions(info),
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('getTokenMetadata', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the owner wallet of each token account, as { [tokenAccount]: owner }.
+   * Accounts that are closed or are not token accounts are left out.
+   */
+  async getAccountOwners(accounts, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const owners = {};
+      for (let i = 0; i < accounts.length; i += MAX_MULTIPLE_ACCOUNTS) {
+        const batch = accounts.slice(i, i + MAX_MULTIPLE_ACCOUNTS);
+        const result = await this.call('getMultipleAccounts', [batch, { encoding: 'jsonParsed' }], { timeout });
+        Object.assign(owners, parseTokenAccountOwners(batch, result?.value));
+      }
+      return owners;
+    } catch (error) {
+      this.logError('getAccountOwners', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch compressed NFT asset data through the DAS API (getAssetBatch),
+   * normalized to [{ id, name, symbol, image, collection, compressed }].
+   * Only works against RPC nodes that serve DAS.
+   */
+  async getAssets(assetIds, { timeout = getConfig().timeouts.metadata } = {}) {
+    try {
+      const assets = [];
+      for (let i = 0; i < assetIds.length; i += MAX_ASSET_BATCH) {
+        const result = await this.call('getAssetBatch', {
+          ids: assetIds.slice(i, i + MAX_ASSET_BATCH),
+          displayOptions: { showCollectionMetadata: true },
+        }, { timeout });
+        assets.push(...(result || []).filter(Boolean).map(normalizeAsset));
+      }
+      return assets;
+    } catch (error) {
+      this.logError('getAssets', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch SOL and token balances for a wallet, normalized to
+   * { lamports, tokens: [{ mint, amount, decimals, tokenAccount }] }
+   */
+  async getBalances(address) {
+    try {
+      const [balance, tokenAccounts] = await Promise.all([
+        this.call('getBalance', [address]),
+        this.call('getTokenAccountsByOwner', [
+          address,
+          { programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' },
+          { encoding: 'jsonParsed' },
+        ]),
+      ]);
+
+      return {
+        lamports: balance?.value || 0,
+        tokens: (tokenAccounts?.value || []).map(({ pubkey, account }) => {
+          const info = account.data.parsed.info;
+          return {
+            mint: info.mint,
+            amount: Number(info.tokenAmount.amount),
+            decimals: info.tokenAmount.decimals,
+            tokenAccount: pubkey,
+          };
+        }),
+      };
+    } catch (error) {
+      this.logError('getBalances', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log request failures; the RPC URL may embed credentials so it is left out
+   */
+  logError(method, error) {
+    log.error('Solana RPC request failed', {
+      method,
+      error: error.message,
+      status: error.response?.status,
+    });
+  }
+}
+
+/**
+ * Map a getTransaction (jsonParsed) result to the Helius enriched shape:
+ * nativeTransfers, tokenTransfers and accountData
+ */
+function toEnrichedTransaction(signatureInfo, tx) {
+  const enriched = {
+    signature: signatureInfo.signature,
+    timestamp: signatureInfo.blockTime || tx?.blockTime || 0,
+    slot: signatureInfo.slot,
+    type: 'UNKNOWN',
+    source: 'UNKNOWN',
+    description: '',
+    transactionError: signatureInfo.err || null,
+    nativeTransfers: [],
+    tokenTransfers: [],
+    accountData: [],
+  };
+
+  if (!tx?.transaction || !tx.meta) {
+    return enriched;
+  }
+
+  const { meta } = tx;
+  const accountKeys = tx.transaction.message.accountKeys.map(key => (typeof key === 'string' ? key : key.pubkey));
+  const tokenBalances = indexTokenBalances(meta, accountKeys);
+
+  enriched.fee = meta.fee;
+  enriched.feePayer = accountKeys[0];
+  // Not in Helius' shape; lets fee payers be told apart from counterparties
+  enriched.signers = tx.transaction.message.accountKeys
+    .filter(key => typeof key === 'object' && key.signer)
+    .map(key => key.pubkey);
+  enriched.transactionError = meta.err || null;
+
+  // Outer instructions followed by inner (CPI) instructions
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(meta.innerInstructions || []).flatMap(inner => inner.instructions),
+  ];
+  enriched.instructions = instructions.map(ix => ({
+    programId: ix.programId,
+    program: ix.program,
+    accounts: ix.accounts,
+    data: ix.data,
+    parsed: ix.parsed,
+  }));
+
+  instructions.forEach(ix => {
+    if (!ix.parsed || typeof ix.parsed !== 'object') return;
+    const { type, info } = ix.parsed;
+
+    if (ix.program === SYSTEM_PROGRAM) {
+      const transfer = parseSystemTransfer(type, info);
+      if (transfer) enriched.nativeTransfers.push(transfer);
+    } else if (TOKEN_PROGRAMS.includes(ix.program)) {
+      const transfer = parseTokenTransfer(type, info, tokenBalances);
+      if (transfer) enriched.tokenTransfers.push(transfer);
+    }
+  });
+
+  enriched.accountData = accountKeys.map((account, index) => ({
+    account,
+    nativeBalanceChange: (meta.postBalances[index] || 0) - (meta.preBalances[index] || 0),
+    tokenBalanceChanges: tokenBalances.changes.filter(change => change.tokenAccount === account),
+  }));
+
+  return enriched;
+}
+
+/**
+ * Index pre/post token balances by token account, and compute per-account
+ * balance changes in the Helius accountData format
+ */
+function indexTokenBalances(meta, accountKeys) {
+  const byAccount = new Map();
+
+  const collect = (balances, key) => {
+    (balances || []).forEach(balance => {
+      const tokenAccount = accountKeys[balance.accountIndex];
+      const entry = byAccount.get(tokenAccount) || {
+        tokenAccount,
+        mint: balance.mint,
+        owner: balance.owner,
+        decimals: balance.uiTokenAmount.decimals,
+        pre: 0n,
+        post: 0n,
+      };
+      entry[key] = BigInt(balance.uiTokenAmount.amount);
+      entry.owner = entry.owner || balance.owner;
+      byAccount.set(tokenAccount, entry);
+    });
+  };
+  collect(meta.preTokenBalances, 'pre');
+  collect(meta.postTokenBalances, 'post');
+
+  const changes = Array.from(byAccount.values())
+    .filter(entry => entry.post !== entry.pre)
+    .map(entry => ({
+      userAccount: entry.owner,
+      tokenAccount: entry.tokenAccount,
+      mint: entry.mint,
+      rawTokenAmount: {
+        tokenAmount: (entry.post - entry.pre).toString(),
+        decimals: entry.decimals,
+      },
+    }));
+
+  return { byAccount, changes };
+}
+
+/**
+ * System program instructions that move lamports between accounts
+ */
+function parseSystemTransfer(type, info) {
+  switch (type) {
+    case 'transfer':
+    case 'transferWithSeed':
+      return { fromUserAccount: info.source, toUserAccount: info.destination, amount: info.lamports };
+    case 'createAccount':
+    case 'createAccountWithSeed':
+      return { fromUserAccount: info.source, toUserAccount: info.newAccount, amount: info.lamports };
+    default:
+      return null;
+  }
+}
+
+/**
+ * SPL token transfer instructions, with owners and mint taken from the
+ * transaction's token balances (plain `transfer` does not carry the mint).
+ * The signing authority may be a delegate or multisig rather than the
+ * owner, so an owner missing from the balances is left for
+ * resolveTokenAccountOwners to look up.
+ */
+function parseTokenTransfer(type, info, tokenBalances) {
+  if (type !== 'transfer' && type !== 'transferChecked' && type !== 'transferCheckedWithFee') return null;
+
+  const source = tokenBalances.byAccount.get(info.source);
+  const destination = tokenBalances.byAccount.get(info.destination);
+  const mint = info.mint || source?.mint || destination?.mint;
+  const decimals = info.tokenAmount?.decimals ?? source?.decimals ?? destination?.decimals ?? 0;
+  const rawAmount = info.tokenAmount?.amount ?? info.amount ?? '0';
+
+  return {
+    fromTokenAccount: info.source,
+    toTokenAccount: info.destination,
+    fromUserAccount: source?.owner || null,
+    toUserAccount: destination?.owner || null,
+    tokenAmount: Number(rawAmount) / Math.pow(10, decimals),
+    mint,
+  };
+}
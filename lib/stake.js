@@ -0,0 +1,151 @@
+/**
+ * Native stake and liquid staking activity in enriched transactions.
+ *
+ * The rpc provider's instructions come jsonParsed; Helius passes raw
+ * instructions (base58 data and account lists), so stake program
+ * instructions are decoded here for both.
+ */
+
+export const STAKE_PROGRAM_ID = 'Stake11111111111111111111111111111111111111';
+
+const MARINADE_PROGRAM_ID = 'MarBmsSgKXdrN1egZf5sqe1TMai9K1rChYNDJgjq7aD';
+const STAKE_POOL_PROGRAM_ID = 'SPoo1Ku8WFXoNDMHPsrGSTSG1Y47rzgn41SLUNakuHy';
+
+// SPL stake pools, by pool account
+const LIQUID_STAKE_POOLS = {
+  'Jito4APyf642JPZPx3hGc6WWJ8zPKtRbRs4P815Awbb': 'Jito',
+};
+
+// Stake program instructions are bincode enums: a u32 LE variant index first
+const STAKE_INSTRUCTION_DELEGATE = 2;
+const STAKE_INSTRUCTION_WITHDRAW = 4;
+const STAKE_INSTRUCTION_DEACTIVATE = 5;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Decode a base58 string to bytes, or null when it is not base58
+ */
+function decodeBase58(value) {
+  const bytes = [];
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading '1' is a leading zero byte
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  return bytes.reverse();
+}
+
+/**
+ * Little-endian unsigned integer of `length` bytes at `offset`
+ */
+function readUint(bytes, offset, length) {
+  let value = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+/**
+ * Outer and inner instructions of a transaction. Helius nests inner
+ * instructions; the rpc provider already lists them after the outer ones.
+ */
+function getAllInstructions(tx) {
+  return (tx.instructions || []).flatMap(instruction => [
+    instruction,
+    ...(instruction.innerInstructions || []),
+  ]);
+}
+
+/**
+ * One stake program instruction as { action, stakeAccount, voteAccount,
+ * authority, destination, lamports }, or null when it is not a delegate,
+ * deactivate or withdraw
+ */
+function decodeStakeInstruction(instruction) {
+  if (instruction.parsed) {
+    const { type, info } = instruction.parsed;
+    switch (type) {
+      case 'delegate':
+        return { action: 'delegate', stakeAccount: info.stakeAccount, voteAccount: info.voteAccount, authority: info.stakeAuthority };
+      case 'deactivate':
+        return { action: 'deactivate', stakeAccount: info.stakeAccount, authority: info.stakeAuthority };
+      case 'withdraw':
+        return {
+          action: 'withdraw',
+          stakeAccount: info.stakeAccount,
+          destination: info.destination,
+          authority: info.withdrawAuthority,
+          lamports: info.lamports,
+        };
+      default:
+        return null;
+    }
+  }
+
+  const accounts = instruction.accounts || [];
+  const bytes = typeof instruction.data === 'string' ? decodeBase58(instruction.data) : null;
+  if (!bytes || bytes.length < 4) return null;
+
+  switch (readUint(bytes, 0, 4)) {
+    // [stake, vote, clock, stake history, config, stake authority]
+    case STAKE_INSTRUCTION_DELEGATE:
+      return { action: 'delegate', stakeAccount: accounts[0], voteAccount: accounts[1], authority: accounts[5] };
+    // [stake, clock, stake authority]
+    case STAKE_INSTRUCTION_DEACTIVATE:
+      return { action: 'deactivate', stakeAccount: accounts[0], authority: accounts[2] };
+    // [stake, recipient, clock, stake history, withdraw authority], then u64 lamports
+    case STAKE_INSTRUCTION_WITHDRAW:
+      if (bytes.length < 12) return null;
+      return {
+        action: 'withdraw',
+        stakeAccount: accounts[0],
+        destination: accounts[1],
+        authority: accounts[4],
+        lamports: readUint(bytes, 4, 8),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Delegate, deactivate and withdraw instructions of the native stake
+ * program in a transaction, in order
+ */
+export function getStakeActions(tx) {
+  return getAllInstructions(tx)
+    .filter(instruction => instruction.programId === STAKE_PROGRAM_ID)
+    .map(decodeStakeInstruction)
+    .filter(action => action && action.stakeAccount);
+}
+
+/**
+ * The liquid staking pool a transaction called, as { address, name }, or
+ * null. Marinade is keyed by its program, SPL stake pools by pool account.
+ */
+export function getLiquidStakePool(tx) {
+  for (const instruction of getAllInstructions(tx)) {
+    if (instruction.programId === MARINADE_PROGRAM_ID) {
+      return { address: MARINADE_PROGRAM_ID, name: 'Marinade' };
+    }
+    if (instruction.programId === STAKE_POOL_PROGRAM_ID) {
+      const pool = (instruction.accounts || []).find(account => LIQUID_STAKE_POOLS[account]);
+      if (pool) return { address: pool, name: LIQUID_STAKE_POOLS[pool] };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,1646 @@
+import { entityIdentifier } from './entity-identifier';
+import { getProvider } from './provider';
+import { getConfig } from './config';
+import { cache } from './cache';
+import { valueEdges } from './prices';
+import { TOKEN_2022_PROGRAM_ID } from './solana-rpc';
+import { getLiquidStakePool, getStakeActions } from './stake';
+import { createRequestDeadline, isTimeoutError, noDeadline } from './deadline';
+import { createLogger } from './logger';
+
+/**
+ * Transaction processing pipeline shared by the transaction API routes:
+ * fetching wallet history, building the graph and enriching it with
+ * entity and token metadata
+ */
+
+const log = createLogger('transaction-processor');
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Helius token standards for one-of-a-kind tokens
+const NFT_TOKEN_STANDARDS = ['NonFungible', 'NonFungibleEdition', 'ProgrammableNonFungible'];
+
+// Swap node ids are derived from the signature, so they never collide with an address
+const SWAP_NODE_PREFIX = 'swap-';
+
+// Not what a failed transaction was trying to do, so skipped when naming its program
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+
+// Token metadata is shared across requests for 24 hours
+const TOKEN_CACHE_TTL = 86400;
+
+// Token account owners rarely change, so lookups are shared for 24 hours too
+const OWNER_CACHE_TTL = 86400;
+
+/**
+ * Fetch wallet history page by page, following the `before` signature cursor
+ * until the time window is covered, the history ends or maxPages is reached.
+ * `nextCursor` is only set when the page cap stopped us short of the window.
+ * `onPage` is awaited with each page as it arrives; `shouldStop` lets callers
+ * abandon the walk early (e.g. when a streaming client disconnects).
+ */
+export async function fetchTransactionHistory(address, { timeRange, before, until, pageSize, maxPages, onPage, shouldStop, deadline = noDeadline() }) {
+  const windowStart = timeRange ? new Date(timeRange.start).getTime() : null;
+  const transactions = [];
+  let cursor = before || null;
+  let pagesFetched = 0;
+  let reachedEnd = false;
+  let windowCovered = false;
+
+  const provider = getProvider();
+  if (!provider) {
+    throw new Error('Data provider not configured');
+  }
+  const { deadline: { enrichmentReserveMs }, timeouts } = getConfig();
+
+  while (pagesFetched < maxPages) {
+    // Once there is something to show, keep time to enrich it; the cursor
+    // lets the client load the rest
+    if (pagesFetched > 0 && deadline.remaining() < enrichmentReserveMs) {
+      deadline.degrade('history', `Stopped after ${pagesFetched} pages to stay within the request deadline`);
+      break;
+    }
+
+    const pageStartTime = Date.now();
+    let page;
+    try {
+      page = await provider.getTransactions(address, {
+        before: cursor,
+        until,
+        limit: pageSize,
+        timeout: deadline.timeout(timeouts.upstream), // Per page, so a slow page fails fast
+      });
+    } catch (error) {
+      // Without a first page there is nothing to return
+      if (pagesFetched === 0 || !isTimeoutError(error)) throw error;
+      deadline.degrade('history', `Page ${pagesFetched + 1} timed out, showing the first ${pagesFetched}`);
+      break;
+    }
+    pagesFetched++;
+
+    log.debug('History page fetched', { provider: provider.name, address, page: pagesFetched, transactions: page.length, durationMs: Date.now() - pageStartTime });
+    await resolveTokenAccountOwners(page, { deadline });
+    transactions.push(...page);
+
+    if (onPage) {
+      await onPage(page, pagesFetched);
+    }
+
+    if (page.length === 0) {
+      reachedEnd = true;
+      break;
+    }
+
+    const oldest = page[page.length - 1];
+    cursor = oldest.signature;
+
+    if (page.length < pageSize) {
+      reachedEnd = true;
+      break;
+    }
+
+    // Transactions come newest first, so once the oldest one on the page
+    // predates the window there is nothing more to fetch for this range
+    if (windowStart !== null && getTimestampMs(oldest) < windowStart) {
+      windowCovered = true;
+      break;
+    }
+
+    if (shouldStop && shouldStop()) {
+      break;
+    }
+  }
+
+  return {
+    transactions,
+    pagesFetched,
+    windowCovered,
+    nextCursor: reachedEnd || windowCovered ? null : cursor
+  };
+}
+
+/**
+ * Fill in the owner wallet of token transfers that only name a token
+ * account, so edges join wallets rather than their token accounts. Owners
+ * come from the transaction's own token balance changes first, then from
+ * the shared cache, then from one provider lookup for the rest. Transfers
+ * are updated in place; failed lookups are logged and leave them as they are.
+ */
+export async function resolveTokenAccountOwners(transactions, { deadline = noDeadline() } = {}) {
+  const owners = new Map();
+  transactions.forEach(tx => getTokenAccountOwners(tx).forEach((owner, account) => owners.set(account, owner)));
+
+  const unresolved = new Set();
+  transactions.forEach(tx => (tx.tokenTransfers || []).forEach(transfer => {
+    [['fromTokenAccount', 'fromUserAccount'], ['toTokenAccount', 'toUserAccount']].forEach(([accountKey, userKey]) => {
+      const account = transfer[accountKey];
+      if (account && !transfer[userKey] && !owners.has(account)) unresolved.add(account);
+    });
+  }));
+
+  if (unresolved.size > 0) {
+    const accounts = Array.from(unresolved);
+    const cached = await cache.mget(accounts.map(account => `owner:${account}`));
+    const uncached = accounts.filter((account, index) => {
+      if (!cached[index]) return true;
+      if (cached[index].owner) owners.set(account, cached[index].owner);
+      return false;
+    });
+
+    const provider = getProvider();
+    if (uncached.length > 0 && provider && deadline.expired()) {
+      deadline.degrade('owners', `${uncached.length} token accounts left unresolved`);
+    } else if (uncached.length > 0 && provider) {
+      try {
+        const fetched = await provider.getAccountOwners(uncached, { timeout: deadline.timeout(getConfig().timeouts.metadata) });
+        // Closed accounts are cached as unknown so they are not looked up again
+        await Promise.all(uncached.map(account => {
+          if (fetched[account]) owners.set(account, fetched[account]);
+          return cache.set(`owner:${account}`, { owner: fetched[account] || null }, { ttl: OWNER_CACHE_TTL });
+        }));
+      } catch (error) {
+        log.warn('Token account owner lookup failed', { accounts: uncached.length, error });
+        if (isTimeoutError(error)) {
+          deadline.degrade('owners', `${uncached.length} token accounts left unresolved`);
+        }
+      }
+    }
+    log.debug('Token account owners resolved', { unresolved: unresolved.size, lookedUp: uncached.length });
+  }
+
+  transactions.forEach(tx => (tx.tokenTransfers || []).forEach(transfer => {
+    if (!transfer.fromUserAccount && owners.has(transfer.fromTokenAccount)) {
+      transfer.fromUserAccount = owners.get(transfer.fromTokenAccount);
+    }
+    if (!transfer.toUserAccount && owners.has(transfer.toTokenAccount)) {
+      transfer.toUserAccount = owners.get(transfer.toTokenAccount);
+    }
+  }));
+  return transactions;
+}
+
+/**
+ * Token account -> owner pairs a transaction reports itself, from its token
+ * balance changes and transfers that name both
+ */
+function getTokenAccountOwners(tx) {
+  const owners = new Map();
+  (tx.accountData || []).forEach(account => {
+    (account.tokenBalanceChanges || []).forEach(change => {
+      if (change.tokenAccount && change.userAccount) owners.set(change.tokenAccount, change.userAccount);
+    });
+  });
+  (tx.tokenTransfers || []).forEach(transfer => {
+    if (transfer.fromTokenAccount && transfer.fromUserAccount) owners.set(transfer.fromTokenAccount, transfer.fromUserAccount);
+    if (transfer.toTokenAccount && transfer.toUserAccount) owners.set(transfer.toTokenAccount, transfer.toUserAccount);
+  });
+  return owners;
+}
+
+/**
+ * Convert a transaction timestamp to milliseconds (Helius returns seconds)
+ */
+function getTimestampMs(tx) {
+  if (!tx.timestamp) return 0;
+  return tx.timestamp > 1e10 ? tx.timestamp : tx.timestamp * 1000;
+}
+
+/**
+ * Keep only transactions inside the requested time range
+ */
+export function filterByTimeRange(transactions, timeRange) {
+  if (!timeRange) return transactions;
+
+  const startTime = new Date(timeRange.start).getTime();
+  const endTime = new Date(timeRange.end).getTime();
+
+  return transactions.filter(tx => {
+    const txTime = getTimestampMs(tx);
+    return txTime >= startTime && txTime <= endTime;
+  });
+}
+
+/**
+ * Create an empty graph holding only the input wallets as central nodes.
+ * Accepts one address or a list of wallets to compare; each input node
+ * carries its `inputIndex` so the UI can give it its own color.
+ */
+export function createGraph(inputAddresses) {
+  const inputs = Array.isArray(inputAddresses) ? inputAddresses : [inputAddresses];
+  const nodes = new Map();
+
+  // Add the input wallets as the central nodes
+  inputs.forEach((address, inputIndex) => {
+    nodes.set(address, {
+      id: address,
+      label: formatAddress(address),
+      type: 'input',
+      inputIndex,
+      size: 60,
+    });
+  });
+
+  return {
+    inputAddress: inputs[0],
+    inputAddresses: inputs,
+    nodes,
+    edges: [],
+    signatures: new Set(), // Transactions already in the graph
+    hasTransfers: false,
+    totalTransactions: 0
+  };
+}
+
+/**
+ * Find counterparties that transfer with two or more of the input wallets.
+ * Tags those nodes with `sharedBy` (the input addresses they touch) and
+ * returns them, most connected first.
+ */
+export function findSharedCounterparties(graph) {
+  const inputs = new Set(graph.inputAddresses);
+  if (inputs.size < 2) return [];
+
+  const counterparties = new Map();
+  graph.edges.forEach(edge => {
+    [[edge.source, edge.target], [edge.target, edge.source]].forEach(([input, counterparty]) => {
+      if (!inputs.has(input) || inputs.has(counterparty) || counterparty === edge.swapId) return;
+
+      const entry = counterparties.get(counterparty) || { address: counterparty, inputs: new Set(), transfers: 0 };
+      entry.inputs.add(input);
+      entry.transfers++;
+      counterparties.set(counterparty, entry);
+    });
+  });
+
+  const shared = Array.from(counterparties.values())
+    .filter(entry => entry.inputs.size >= 2)
+    .map(entry => ({ address: entry.address, inputs: Array.from(entry.inputs), transfers: entry.transfers }))
+    .sort((a, b) => b.inputs.length - a.inputs.length || b.transfers - a.transfers);
+
+  shared.forEach(entry => {
+    const node = graph.nodes.get(entry.address);
+    if (node) {
+      node.sharedBy = entry.inputs;
+    }
+  });
+
+  return shared;
+}
+
+/**
+ * Add a batch of raw transactions to the graph.
+ * Transfers are kept when they involve `focusAddress` (the input wallet by
+ * default, or the wallet being crawled), and transactions already in the
+ * graph are skipped. Returns only the nodes and edges this batch introduced,
+ * plus earlier nodes it retyped, so callers can stream them as incremental
+ * updates.
+ */
+export function addTransactionsToGraph(graph, transactions, focusAddress = graph.inputAddress) {
+  const { nodes, edges } = graph;
+  const nodeCountBefore = nodes.size;
+  const edgeCountBefore = edges.length;
+  const indexOffset = graph.totalTransactions;
+  // Nodes from earlier batches whose type changed (wallets found to be stake accounts)
+  const retyped = new Set();
+
+  transactions.forEach((tx, batchIndex) => {
+    const index = indexOffset + batchIndex;
+
+    if (tx.signature) {
+      if (graph.signatures.has(tx.signature)) return;
+      graph.signatures.add(tx.signature);
+    }
+
+    // A failed transaction moved nothing (its transfers were reverted), so
+    // it becomes one FAILED edge carrying the error instead
+    if (tx.transactionError) {
+      const txEdgeStart = edges.length;
+      if (processFailedTransaction(tx, index, nodes, edges, focusAddress)) {
+        graph.hasTransfers = true;
+        tagFeePayer(edges.slice(txEdgeStart), tx);
+      }
+      return;
+    }
+
+    // Skip transactions with no transfers to improve performance
+    const hasTokenTransfers = tx.tokenTransfers && tx.tokenTransfers.length > 0;
+    const hasNativeTransfers = tx.nativeTransfers && tx.nativeTransfers.length > 0;
+    // Compressed NFTs move in Helius' events, not in tokenTransfers
+    const hasCompressedNfts = tx.events?.compressed && tx.events.compressed.length > 0;
+    // Delegating or deactivating stake moves no SOL
+    const hasStakeActions = getStakeActions(tx).length > 0;
+    
+    if (!hasTokenTransfers && !hasNativeTransfers && !hasCompressedNfts && !hasStakeActions) {
+      return;
+    }
+    
+    graph.hasTransfers = true;
+    const txEdgeStart = edges.length;
+
+    // A swap by the focus wallet becomes one swap node instead of its legs
+    const isCollapsedSwap = tx.type === 'SWAP' && processSwap(tx, index, nodes, edges, focusAddress);
+    if (!isCollapsedSwap && !processStake(tx, index, nodes, edges, focusAddress, retyped)) {
+      processTransfers(tx, index, nodes, edges, focusAddress);
+    }
+    processFeePayer(tx, index, nodes, edges, focusAddress);
+    tagFeePayer(edges.slice(txEdgeStart), tx);
+
+    // Also process any accounts involved in the transaction (for broader
+    // capture). Token accounts are represented by their owners, which the
+    // transfers above already added. A collapsed swap's pools, vaults and
+    // authorities stay inside its swap node.
+    if (tx.accountData && !isCollapsedSwap) {
+      const tokenAccounts = getTokenAccountOwners(tx);
+      tx.accountData.forEach((account) => {
+        if (account.account && account.account !== focusAddress && !tokenAccounts.has(account.account)) {
+          addNodeIfNeeded(account.account, nodes, focusAddress);
+        }
+      });
+    }
+  });
+
+  graph.totalTransactions += transactions.length;
+
+  const addedNodes = Array.from(nodes.values()).slice(nodeCountBefore);
+  const addedIds = new Set(addedNodes.map(node => node.id));
+  return {
+    nodes: [
+      ...addedNodes,
+      ...Array.from(retyped).filter(id => !addedIds.has(id)).map(id => nodes.get(id))
+    ],
+    edges: edges.slice(edgeCountBefore)
+  };
+}
+
+/**
+ * Resolve entities for the addresses in the graph and attach token metadata.
+ * Lookups stop at the deadline, leaving the rest unresolved.
+ */
+export async function enrichGraph(graph, { deadline = noDeadline() } = {}) {
+  const processStartTime = Date.now();
+  const { nodes, edges, inputAddresses } = graph;
+
+  // Early exit if no transfers found
+  if (!graph.hasTransfers) {
+    return {
+      nodes: inputAddresses.map(address => nodes.get(address)),
+      edges: [],
+      totalTransactions: graph.totalTransactions,
+      processedAt: new Date().toISOString(),
+      entityInfo: {},
+      tokenMetadata: {}
+    };
+  }
+
+  // Get entity information for addresses that appear in actual transfers only
+  const entityStartTime = Date.now();
+  const addressesInTransfers = new Set();
+  
+  // Only collect addresses that appear in actual transfers (not just accountData)
+  edges.forEach(edge => {
+    addressesInTransfers.add(edge.source);
+    addressesInTransfers.add(edge.target);
+  });
+  // Swap nodes are actions, not accounts
+  edges.forEach(edge => {
+    if (edge.swapId) addressesInTransfers.delete(edge.swapId);
+  });
+  
+  const uniqueAddresses = Array.from(addressesInTransfers);
+  const entityInfo = await entityIdentifier.batchResolveAddresses(uniqueAddresses, { deadline });
+  
+  const entityEndTime = Date.now();
+  log.debug('Entities resolved', { addresses: uniqueAddresses.length, durationMs: entityEndTime - entityStartTime });
+
+  // Get token metadata for all unique mint addresses (only if we have edges)
+  const tokenMetadata = {};
+  if (edges.length > 0) {
+    const uniqueMints = new Set();
+    edges.forEach(edge => {
+      if (edge.mint) {
+        uniqueMints.add(edge.mint);
+      }
+    });
+    
+    if (uniqueMints.size > 0) {
+      const mintPromises = Array.from(uniqueMints).map(async (mint) => {
+        const metadata = await entityIdentifier.getTokenMetadata(mint, { deadline });
+        if (metadata) {
+          tokenMetadata[mint] = metadata;
+        }
+      });
+      await Promise.allSettled(mintPromises);
+    }
+  }
+
+  // Enhance nodes with entity information
+  const enhancedNodes = Array.from(nodes.values()).map(node => {
+    const entity = entityInfo[node.id];
+    if (entity) {
+      return {
+        ...node,
+        entity: {
+          name: entity.name,
+          type: entity.type,
+          description: entity.description,
+          icon: entityIdentifier.getEntityIcon(entity.type),
+          color: entityIdentifier.getEntityColor(entity.type),
+          metadata: entity.metadata || null
+        }
+      };
+    }
+    return node;
+  });
+
+  // Enhance edges with token metadata
+  const enhancedEdges = edges.map(edge => {
+    if (edge.mint && tokenMetadata[edge.mint]) {
+      return {
+        ...edge,
+        tokenMetadata: tokenMetadata[edge.mint]
+      };
+    }
+    return edge;
+  });
+
+  const processEndTime = Date.now();
+
+  const result = {
+    nodes: enhancedNodes,
+    edges: enhancedEdges,
+    totalTransactions: graph.totalTransactions,
+    processedAt: new Date().toISOString(),
+    entityInfo: entityInfo,
+    tokenMetadata: tokenMetadata
+  };
+
+  log.debug('Graph enriched', {
+    nodes: result.nodes.length,
+    edges: result.edges.length,
+    entitiesFound: Object.keys(entityInfo).length,
+    durationMs: processEndTime - processStartTime
+  });
+
+  return result;
+}
+
+/**
+ * Build the full /api/transactions result for one or more wallets: fetch
+ * each wallet's history, graph it, find shared counterparties and enrich it.
+ * Resolves to { data, performance } where `data` is the response body
+ * without requestInfo, which is also what the graph cache stores.
+ *
+ * Every stage shares one request deadline. Stages that run out of time
+ * return what they have, and `data.degraded` lists them as
+ * [{ stage, message }].
+ */
+export async function buildTransactionGraph({ addresses, timeRange, cursor, until }, { deadline = createRequestDeadline() } = {}) {
+  const { pagination } = getConfig();
+  const heliusStartTime = Date.now();
+
+  // Build one graph across every input wallet
+  const graph = createGraph(addresses);
+  const wallets = [];
+
+  for (const address of addresses) {
+    if (wallets.length > 0 && deadline.remaining() < getConfig().deadline.enrichmentReserveMs) {
+      deadline.degrade('history', `Skipped ${addresses.length - wallets.length} of ${addresses.length} wallets to stay within the request deadline`);
+      break;
+    }
+
+    const history = await fetchTransactionHistory(address, {
+      timeRange,
+      before: cursor,
+      until,
+      pageSize: pagination.pageSize,
+      maxPages: pagination.maxPages,
+      deadline
+    });
+
+    // Filter transactions by time range if provided
+    const filteredTransactions = filterByTimeRange(history.transactions, timeRange);
+
+    addTransactionsToGraph(graph, filteredTransactions, address);
+    wallets.push({ address, history, filteredCount: filteredTransactions.length });
+  }
+
+  const heliusEndTime = Date.now();
+  log.debug('History fetched', { wallets: wallets.length, durationMs: heliusEndTime - heliusStartTime });
+
+  const sharedCounterparties = findSharedCounterparties(graph);
+
+  const processStartTime = Date.now();
+  const transactionData = await enrichGraph(graph, { deadline });
+  const processEndTime = Date.now();
+
+  // Enhance token metadata by fetching additional info for unknown tokens
+  const enhanceStartTime = Date.now();
+  const enhancedData = await enhanceTokenMetadata(transactionData, { deadline });
+  const enhanceEndTime = Date.now();
+
+  // Progressive loading info. Cursors only apply to a single wallet, so
+  // comparisons report totals without one.
+  const nextCursor = wallets.length === 1 ? wallets[0].history.nextCursor : null;
+  return {
+    data: {
+      ...enhancedData,
+      inputAddresses: addresses,
+      sharedCounterparties,
+      degraded: deadline.degraded,
+      progressiveLoading: {
+        hasMoreData: !!nextCursor,
+        nextCursor,
+        pagesFetched: wallets.reduce((total, wallet) => total + wallet.history.pagesFetched, 0),
+        totalFetched: wallets.reduce((total, wallet) => total + wallet.history.transactions.length, 0),
+        filteredCount: wallets.reduce((total, wallet) => total + wallet.filteredCount, 0),
+        timeRange: timeRange,
+        canExpand: wallets.every(wallet => wallet.history.windowCovered)
+      }
+    },
+    performance: {
+      heliusTime: heliusEndTime - heliusStartTime,
+      processTime: processEndTime - processStartTime,
+      enhanceTime: enhanceEndTime - enhanceStartTime
+    }
+  };
+}
+
+/**
+ * Process raw transaction data into nodes and edges for visualization
+ */
+export async function processTransactions(transactions, inputAddress) {
+  const graph = createGraph(inputAddress);
+  addTransactionsToGraph(graph, transactions);
+  return enrichGraph(graph);
+}
+
+/**
+ * Breadth-first crawl outward from `rootAddress`, building one graph.
+ * Each hop fetches up to `txLimit` transactions for every frontier address
+ * and picks at most `fanOut` of its busiest new counterparties for the next
+ * hop. Known entities (DEXes, marketplaces, exchanges) are never crawled
+ * since their histories are unbounded. Every node is tagged with `hop`, its
+ * distance from the root.
+ *
+ * Once an address has been crawled, the crawl stops expanding when less than
+ * the enrichment reserve is left on `deadline`, and records a 'crawl' stage
+ * in `deadline.degraded`.
+ */
+export async function crawlGraph(rootAddress, { depth, fanOut, txLimit, timeRange, maxAddresses, deadline = noDeadline() }) {
+  const { pagination, deadline: { enrichmentReserveMs } } = getConfig();
+  const pageSize = Math.min(txLimit, pagination.pageSize);
+  const maxPages = Math.ceil(txLimit / pageSize);
+
+  const graph = createGraph(rootAddress);
+  graph.nodes.get(rootAddress).hop = 0;
+
+  const crawled = [];
+  const errors = [];
+  let frontier = [rootAddress];
+  let outOfTime = false;
+
+  for (let hop = 1; hop <= depth && frontier.length > 0 && !outOfTime; hop++) {
+    const nextFrontier = [];
+
+    for (const address of frontier) {
+      if (crawled.length >= maxAddresses) break;
+      if (crawled.length > 0 && deadline.remaining() < enrichmentReserveMs) {
+        deadline.degrade('crawl', `Stopped after ${crawled.length} addresses at hop ${hop} to stay within the request deadline`);
+        outOfTime = true;
+        break;
+      }
+
+      try {
+        const history = await fetchTransactionHistory(address, { timeRange, pageSize, maxPages, deadline });
+        const transactions = filterByTimeRange(history.transactions, timeRange).slice(0, txLimit);
+        const added = addTransactionsToGraph(graph, transactions, address);
+
+        // Retyped nodes come back too, and keep the hop they were found at
+        added.nodes.forEach(node => {
+          if (node.hop === undefined) node.hop = hop;
+        });
+        crawled.push({ address, hop: hop - 1, transactions: transactions.length });
+
+        if (hop < depth) {
+          nextFrontier.push(...pickCounterparties(graph, address, added.nodes, fanOut));
+        }
+      } catch (error) {
+        log.warn('Crawl failed for address', { address, error });
+        errors.push({ address, error: error.message });
+      }
+    }
+
+    frontier = nextFrontier;
+  }
+
+  return { graph, crawled, errors };
+}
+
+/**
+ * Pick the `fanOut` new counterparties of `address` with the most transfers
+ * to or from it, skipping known entities
+ */
+function pickCounterparties(graph, address, newNodes, fanOut) {
+  // Validators' vote accounts only vote, so their history says nothing about the wallet
+  const candidates = new Set(newNodes
+    .filter(node => node.type !== 'swap' && node.type !== 'validator')
+    .map(node => node.id));
+  const transferCounts = new Map();
+
+  graph.edges.forEach(edge => {
+    const counterparty = edge.source === address ? edge.target : edge.target === address ? edge.source : null;
+    if (counterparty && candidates.has(counterparty)) {
+      transferCounts.set(counterparty, (transferCounts.get(counterparty) || 0) + 1);
+    }
+  });
+
+  return Array.from(transferCounts.entries())
+    .filter(([counterparty]) => !entityIdentifier.findKnownEntity(counterparty))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, fanOut)
+    .map(([counterparty]) => counterparty);
+}
+
+/**
+ * Enhance token metadata by fetching additional information for unknown
+ * tokens, then compressed NFTs and USD values. Lookups stop at the deadline.
+ */
+export async function enhanceTokenMetadata(transactionData, { deadline = noDeadline() } = {}) {
+  const enhanceStartTime = Date.now();
+  const enhancedData = { ...transactionData };
+  
+  // Early exit if no edges to process
+  if (!enhancedData.edges || enhancedData.edges.length === 0) {
+    return enhancedData;
+  }
+  
+  const unknownTokens = new Set();
+  
+  // Collect all unknown token mints (checking the cache first, in one lookup)
+  const uncachedEdges = enhancedData.edges.filter(edge => edge.mint && !edge.tokenSymbol);
+  const mints = Array.from(new Set(uncachedEdges.map(edge => edge.mint)));
+  const cachedMetadata = await cache.mget(mints.map(mint => `token:${mint}`));
+
+  const cachedByMint = new Map(mints.map((mint, index) => [mint, cachedMetadata[index]]));
+  uncachedEdges.forEach(edge => {
+    const cached = cachedByMint.get(edge.mint);
+    if (cached) {
+      // Use cached metadata
+      edge.tokenSymbol = cached.symbol;
+      edge.tokenName = cached.name;
+      edge.tokenLogo = cached.logo;
+      edge.tokenMetadata = cached.metadata;
+    } else {
+      unknownTokens.add(edge.mint);
+    }
+  });
+
+  // Fetch metadata for unknown tokens (optimized for performance)
+  if (unknownTokens.size > 0) {
+    // Batch fetch token metadata for better performance
+    const tokenMints = Array.from(unknownTokens);
+    const { tokenMetadata: { batchSize }, timeouts } = getConfig();
+    
+    const provider = getProvider();
+
+    for (let i = 0; i < tokenMints.length; i += batchSize) {
+      if (deadline.expired()) break;
+      const batch = tokenMints.slice(i, i + batchSize);
+      
+      try {
+        const batchMetadata = await provider.getTokenMetadata(batch, { timeout: deadline.timeout(timeouts.metadata) });
+        batchMetadata.forEach(tokenInfo => {
+          applyTokenMetadata(enhancedData.edges, tokenInfo);
+        });
+      } catch (error) {
+        log.warn('Token metadata batch failed, retrying tokens one by one', { tokens: batch.length, error });
+
+        // Fallback: try individual tokens
+        for (const mint of batch) {
+          if (deadline.expired()) break;
+          try {
+            const [tokenInfo] = await provider.getTokenMetadata([mint], { timeout: deadline.timeout(timeouts.tokenLookup) });
+            if (tokenInfo) {
+              applyTokenMetadata(enhancedData.edges, tokenInfo);
+            }
+          } catch (individualError) {
+            log.warn('Token metadata lookup failed', { mint, error: individualError });
+          }
+        }
+      }
+    }
+
+
+    if (deadline.expired()) {
+      const missing = tokenMints.filter(mint => !enhancedData.edges.some(edge => edge.mint === mint && edge.tokenMetadata));
+      if (missing.length > 0) {
+        deadline.degrade('tokenMetadata', `Metadata missing for ${missing.length} of ${tokenMints.length} tokens`);
+      }
+    }
+  }
+
+  // NFT or token, for transfers that were classified by their amount alone
+  enhancedData.edges.forEach(settleInferredType);
+
+  // Royalties go to the mint's creators; the rest of a sale's payouts is the fee
+  enhancedData.edges.forEach(edge => {
+    const creators = edge.tokenMetadata?.creators;
+    if (edge.sale && creators?.length > 0) {
+      edge.sale = { ...edge.sale, ...splitSalePayouts(edge.sale.payouts || [], creators) };
+    }
+  });
+
+  // Name, image and collection of compressed NFTs, which have no mint to look up
+  await enhanceCompressedAssets(enhancedData.edges, deadline);
+
+  // USD value of each SOL and token transfer at its timestamp, when a price source is configured
+  await valueEdges(enhancedData.edges, { deadline });
+
+  log.debug('Token metadata enhanced', {
+    tokenEdges: enhancedData.edges.filter(edge => edge.mint).length,
+    withMetadata: enhancedData.edges.filter(edge => edge.tokenMetadata).length,
+    unknownTokens: unknownTokens.size,
+    durationMs: Date.now() - enhanceStartTime
+  });
+
+  return enhancedData;
+}
+
+/**
+ * Fill in name, image and collection on compressed NFT edges from DAS asset
+ * data, through the shared cache (`asset:{id}`). Failures are logged and
+ * leave the edges without metadata.
+ */
+async function enhanceCompressedAssets(edges, deadline) {
+  const assetEdges = edges.filter(edge => edge.assetId && !edge.tokenMetadata);
+  if (assetEdges.length === 0) return;
+
+  const assetIds = Array.from(new Set(assetEdges.map(edge => edge.assetId)));
+  const cached = await cache.mget(assetIds.map(assetId => `asset:${assetId}`));
+  const assets = new Map();
+  const uncached = assetIds.filter((assetId, index) => {
+    if (cached[index]) assets.set(assetId, cached[index]);
+    return !cached[index];
+  });
+
+  const provider = getProvider();
+  if (uncached.length > 0 && provider && deadline.expired()) {
+    deadline.degrade('compressedNfts', `Metadata missing for ${uncached.length} compressed NFTs`);
+  } else if (uncached.length > 0 && provider) {
+    try {
+      const fetched = await provider.getAssets(uncached, { timeout: deadline.timeout(getConfig().timeouts.metadata) });
+      await Promise.all(fetched.map(asset => {
+        assets.set(asset.id, asset);
+        return cache.set(`asset:${asset.id}`, asset, { ttl: TOKEN_CACHE_TTL });
+      }));
+    } catch (error) {
+      log.warn('Compressed NFT lookup failed', { assets: uncached.length, error });
+      if (isTimeoutError(error)) {
+        deadline.degrade('compressedNfts', `Metadata missing for ${uncached.length} compressed NFTs`);
+      }
+    }
+  }
+
+  assetEdges.forEach(edge => {
+    const asset = assets.get(edge.assetId);
+    if (!asset) return;
+
+    edge.tokenSymbol = asset.symbol || asset.name?.slice(0, 4) || 'cNFT';
+    edge.tokenName = asset.name || 'Compressed NFT';
+    edge.tokenLogo = asset.image;
+    edge.tokenMetadata = {
+      name: edge.tokenName,
+      symbol: edge.tokenSymbol,
+      image: asset.image,
+      collection: asset.collection,
+      compressed: true,
+    };
+  });
+  log.debug('Compressed NFTs enriched', { assets: assetIds.length, uncached: uncached.length });
+}
+
+/**
+ * Cache provider token metadata and copy it onto every edge for that mint
+ */
+function applyTokenMetadata(edges, tokenInfo) {
+  const symbol = tokenInfo.symbol ||
+                tokenInfo.name?.slice(0, 4) || // Use first 4 chars of name as fallback
+                'Unknown';
+  const tokenName = tokenInfo.name || 'Unknown';
+  const tokenMetadata = {
+    decimals: tokenInfo.decimals,
+    supply: tokenInfo.supply,
+    collection: tokenInfo.collection,
+    symbol: symbol,
+    name: tokenName,
+    tokenProgram: tokenInfo.tokenProgram || null,
+    extensions: tokenInfo.extensions || {},
+    creators: tokenInfo.creators || null
+  };
+
+  // Store in the shared cache
+  cache.set(`token:${tokenInfo.mint}`, {
+    symbol: symbol,
+    name: tokenName,
+    logo: tokenInfo.logo,
+    metadata: tokenMetadata
+  }, { ttl: TOKEN_CACHE_TTL });
+
+  edges.forEach(edge => {
+    if (edge.mint === tokenInfo.mint) {
+      edge.tokenSymbol = symbol;
+      edge.tokenName = tokenName;
+      edge.tokenLogo = tokenInfo.logo;
+      edge.tokenMetadata = tokenMetadata;
+    }
+  });
+}
+
+/**
+ * Add every token and native transfer of a transaction as its own edge.
+ * A transaction can carry both (NFT sales), so both lists are processed.
+ */
+function processTransfers(tx, txIndex, nodes, edges, focusAddress) {
+  const sale = tx.type === 'NFT_SALE' ? getNftSale(tx) : null;
+  (tx.tokenTransfers || []).forEach((transfer, transferIndex) => {
+    processTokenTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, focusAddress, sale);
+  });
+  (tx.nativeTransfers || []).forEach((transfer, transferIndex) => {
+    processNativeTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, focusAddress);
+  });
+  (tx.events?.compressed || []).forEach((event, eventIndex) => {
+    processCompressedNft(event, tx, txIndex, eventIndex, nodes, edges, focusAddress, sale);
+  });
+}
+
+/**
+ * Add an NFT edge for a compressed NFT mint or transfer from Helius'
+ * `events.compressed`. Mints come from the merkle tree, so cNFTs minted
+ * from the same tree (airdrops, spam drops) share a source node. The asset
+ * id stands in for the mint; name, image and collection are filled in from
+ * DAS by enhanceTokenMetadata.
+ */
+function processCompressedNft(event, tx, txIndex, eventIndex, nodes, edges, inputAddress, sale = null) {
+  const isMint = event.type === 'COMPRESSED_NFT_MINT';
+  if (!isMint && event.type !== 'COMPRESSED_NFT_TRANSFER') return;
+
+  const fromAddress = isMint ? event.treeId : event.oldLeafOwner;
+  const toAddress = event.newLeafOwner;
+  if (!fromAddress || !toAddress || !event.assetId) return;
+
+  const isInputInvolved = fromAddress === inputAddress || toAddress === inputAddress;
+  const isInputInTransaction = tx.accountData?.some(account => account.account === inputAddress);
+  if (!isInputInvolved && !isInputInTransaction) return;
+
+  addNodeIfNeeded(fromAddress, nodes, inputAddress);
+  addNodeIfNeeded(toAddress, nodes, inputAddress);
+
+  const isSoldNft = sale && (sale.mints.length === 0 || sale.mints.includes(event.assetId));
+  edges.push({
+    id: `cnft-${fromAddress}-${toAddress}-${tx.signature || txIndex}-${eventIndex}`,
+    source: fromAddress,
+    target: toAddress,
+    type: 'NFT',
+    txType: tx.type || 'UNKNOWN',
+    txSource: tx.source || 'UNKNOWN',
+    amount: 1,
+    assetId: event.assetId,
+    compressed: true,
+    treeId: event.treeId || null,
+    leafIndex: event.leafIndex ?? null,
+    signature: tx.signature,
+    timestamp: tx.timestamp,
+    tokenSymbol: null,
+    uiAmount: 1,
+    decimals: 0,
+    isDirectTransfer: isInputInvolved,
+    isRelatedTransfer: isInputInTransaction && !isInputInvolved,
+    ...(isSoldNft && { sale }),
+  });
+}
+
+/**
+ * Record who paid the transaction's fee on each of its edges, so fees paid
+ * per wallet can be totalled from the edges alone
+ */
+function tagFeePayer(txEdges, tx) {
+  txEdges.forEach(edge => {
+    edge.feePayer = tx.feePayer || null;
+    edge.fee = tx.fee || 0;
+  });
+}
+
+/**
+ * Add a FAILED edge for a transaction that errored. When the focus wallet
+ * signed it, the edge goes to the program it was calling (a failed mint or
+ * snipe); when someone else signed it, the edge goes from them to the
+ * focus wallet (a failed drain). Returns false when the focus wallet is not
+ * part of the transaction.
+ */
+function processFailedTransaction(tx, txIndex, nodes, edges, focusAddress) {
+  const signer = tx.feePayer;
+  const isFocusInvolved = signer === focusAddress ||
+    tx.accountData?.some(account => account.account === focusAddress) ||
+    tx.instructions?.some(instruction => instruction.accounts?.includes(focusAddress));
+  if (!signer || !isFocusInvolved) return false;
+
+  const programId = getFailedProgram(tx);
+  const target = signer === focusAddress ? programId : focusAddress;
+  if (!target || target === signer) return false;
+
+  addNodeIfNeeded(signer, nodes, focusAddress);
+  addNodeIfNeeded(target, nodes, focusAddress);
+  edges.push({
+    id: `failed-${signer}-${target}-${tx.signature || txIndex}`,
+    source: signer,
+    target,
+    type: 'FAILED',
+    txType: tx.type || 'UNKNOWN',
+    txSource: tx.source || 'UNKNOWN',
+    amount: 0,
+    error: formatTransactionError(tx.transactionError),
+    programId: programId || null,
+    signature: tx.signature,
+    timestamp: tx.timestamp,
+    isDirectTransfer: true,
+    isRelatedTransfer: false,
+  });
+  return true;
+}
+
+/**
+ * The program a failed transaction was mainly calling: its first
+ * instruction outside the compute budget program
+ */
+function getFailedProgram(tx) {
+  const instruction = (tx.instructions || [])
+    .find(entry => entry.programId && entry.programId !== COMPUTE_BUDGET_PROGRAM_ID);
+  return instruction?.programId || null;
+}
+
+/**
+ * Readable reason for a transaction error, from Helius' `{ error }` shape or
+ * the raw RPC error (e.g. { InstructionError: [2, { Custom: 6001 }] })
+ */
+function formatTransactionError(transactionError) {
+  if (typeof transactionError === 'string') return transactionError;
+  if (transactionError?.error) return String(transactionError.error);
+
+  const instructionError = transactionError?.InstructionError;
+  if (Array.isArray(instructionError)) {
+    const [instructionIndex, detail] = instructionError;
+    const reason = typeof detail === 'string'
+      ? detail
+      : detail?.Custom !== undefined
+        ? `custom program error 0x${detail.Custom.toString(16)} (${detail.Custom})`
+        : JSON.stringify(detail);
+    return `Instruction ${instructionIndex}: ${reason}`;
+  }
+
+  return JSON.stringify(transactionError);
+}
+
+/**
+ * Add a "paid fees for" edge when another wallet paid the fee for a
+ * transaction the focus wallet acted in: it signed it (when the provider
+ * reports signers) or sent value in it. A payer trading with the focus
+ * wallet (sending to it, or buying from it) paid for its own side, so it
+ * gets no edge, nor do wallets paying their own fees; their totals come
+ * from the `fee`/`feePayer` on every edge.
+ */
+function processFeePayer(tx, txIndex, nodes, edges, focusAddress) {
+  const payer = tx.feePayer;
+  if (!payer || payer === focusAddress || !focusAddress) return;
+
+  const transfers = [...(tx.tokenTransfers || []), ...(tx.nativeTransfers || [])];
+  const focusSigned = (tx.signers || []).includes(focusAddress);
+  const focusSent = transfers.some(transfer => transfer.fromUserAccount === focusAddress);
+  const payerIsCounterparty = tx.events?.nft?.buyer === payer || transfers.some(transfer =>
+    (transfer.fromUserAccount === focusAddress && transfer.toUserAccount === payer) ||
+    (transfer.fromUserAccount === payer && transfer.toUserAccount === focusAddress));
+  if ((!focusSigned && !focusSent) || payerIsCounterparty) return;
+
+  addNodeIfNeeded(payer, nodes, focusAddress);
+  const lamports = tx.fee || 0;
+  edges.push({
+    id: `fee-${payer}-${focusAddress}-${tx.signature || txIndex}`,
+    source: payer,
+    target: focusAddress,
+    type: 'FEE_PAYER',
+    txType: tx.type || 'UNKNOWN',
+    txSource: tx.source || 'UNKNOWN',
+    amount: lamports,
+    lamports,
+    solAmount: lamports / LAMPORTS_PER_SOL,
+    signature: tx.signature,
+    timestamp: tx.timestamp,
+    isDirectTransfer: false,
+    isRelatedTransfer: false,
+  });
+}
+
+/**
+ * Price breakdown of an NFT sale, in SOL, from Helius' `events.nft` and the
+ * transaction's native transfers. Payments to the seller are proceeds; the
+ * other payouts are kept in `payouts` and split into marketplace fee and
+ * royalties by splitSalePayouts. Until the mint's creators are known, only
+ * payments to a known marketplace account count as the fee. Rent for new
+ * token accounts is left out. Null when the sale has no SOL payment.
+ */
+function getNftSale(tx) {
+  const nftEvent = tx.events?.nft;
+  const nftTransfer = (tx.tokenTransfers || []).find(transfer => getTransactionType(
+    transfer, tx, transfer.uiTokenAmount?.decimals ?? getMintDecimals(tx, transfer.mint)
+  ).type === 'NFT');
+  const buyer = nftEvent?.buyer || nftTransfer?.toUserAccount;
+  const seller = nftEvent?.seller || nftTransfer?.fromUserAccount;
+  const tokenAccounts = new Set((tx.tokenTransfers || [])
+    .flatMap(transfer => [transfer.fromTokenAccount, transfer.toTokenAccount])
+    .filter(Boolean));
+
+  let proceeds = 0;
+  const payouts = [];
+  (tx.nativeTransfers || []).forEach(transfer => {
+    const recipient = transfer.toUserAccount;
+    const lamports = transfer.amount || 0;
+    if (!recipient || lamports === 0 || recipient === buyer || transfer.fromUserAccount === seller || tokenAccounts.has(recipient)) {
+      return;
+    }
+
+    if (recipient === seller) {
+      proceeds += lamports;
+    } else {
+      payouts.push({ recipient, lamports });
+    }
+  });
+
+  const paidOut = payouts.reduce((total, payout) => total + payout.lamports, 0);
+  const priceLamports = nftEvent?.amount || proceeds + paidOut;
+  if (!priceLamports) return null;
+
+  const marketplace = entityIdentifier.findKnownEntity(nftEvent?.source || tx.source);
+  return {
+    price: priceLamports / LAMPORTS_PER_SOL,
+    priceLamports,
+    sellerProceeds: proceeds / LAMPORTS_PER_SOL,
+    ...splitSalePayouts(payouts, null),
+    payouts,
+    marketplace: marketplace?.type === 'nft_marketplace' ? marketplace.name : null,
+    source: nftEvent?.source || tx.source || 'UNKNOWN',
+    saleType: nftEvent?.saleType || null,
+    buyer: buyer || null,
+    seller: seller || null,
+    mints: (nftEvent?.nfts || []).map(nft => nft.mint),
+  };
+}
+
+/**
+ * Split a sale's payouts into { marketplaceFee, royalty } in SOL. With the
+ * mint's `creators`, payments to them are royalties and the rest is the
+ * marketplace fee (marketplaces pay it to treasury wallets that are not
+ * known entities). Without them, only known marketplace accounts count as
+ * the fee.
+ */
+function splitSalePayouts(payouts, creators) {
+  let marketplaceFee = 0;
+  let royalty = 0;
+  payouts.forEach(({ recipient, lamports }) => {
+    const isRoyalty = creators
+      ? creators.includes(recipient)
+      : entityIdentifier.findKnownEntity(recipient)?.type !== 'nft_marketplace';
+    if (isRoyalty) {
+      royalty += lamports;
+    } else {
+      marketplaceFee += lamports;
+    }
+  });
+  return { marketplaceFee: marketplaceFee / LAMPORTS_PER_SOL, royalty: royalty / LAMPORTS_PER_SOL };
+}
+
+/**
+ * Collapse a SWAP made by the focus wallet into one swap node: an edge from
+ * the wallet to the node for each token sold and one back for each token
+ * bought, instead of legs to pool and vault accounts. Returns false (adding
+ * nothing) when the focus wallet is not the trader or the legs cannot be
+ * worked out, so the caller falls back to plain transfers.
+ */
+function processSwap(tx, txIndex, nodes, edges, focusAddress) {
+  const trader = getSwapTrader(tx, focusAddress);
+  if (trader !== focusAddress) return false;
+
+  const { inputs, outputs } = getSwapLegs(tx, trader);
+  if (inputs.length === 0 || outputs.length === 0) return false;
+
+  const swapId = `${SWAP_NODE_PREFIX}${tx.signature || txIndex}`;
+  const dex = identifySwapDex(tx);
+  nodes.set(swapId, {
+    id: swapId,
+    label: dex ? `${dex.name} Swap` : 'Swap',
+    type: 'swap',
+    size: 30,
+    swap: {
+      signature: tx.signature,
+      timestamp: tx.timestamp,
+      trader,
+      source: tx.source || 'UNKNOWN',
+      dex,
+    },
+  });
+
+  inputs.forEach((leg, legIndex) => {
+    edges.push(createSwapEdge(leg, tx, swapId, trader, swapId, 'in', legIndex));
+  });
+  outputs.forEach((leg, legIndex) => {
+    edges.push(createSwapEdge(leg, tx, swapId, swapId, trader, 'out', legIndex));
+  });
+  return true;
+}
+
+/**
+ * The wallet that made a swap: the user account in Helius' swap event,
+ * else the focus wallet when it moved tokens, else the fee payer
+ */
+function getSwapTrader(tx, focusAddress) {
+  const swapEvent = tx.events?.swap;
+  const eventTrader = swapEvent?.tokenInputs?.[0]?.userAccount ||
+    swapEvent?.nativeInput?.account ||
+    swapEvent?.tokenOutputs?.[0]?.userAccount ||
+    swapEvent?.nativeOutput?.account;
+  if (eventTrader) return eventTrader;
+
+  const movedTokens = [...(tx.tokenTransfers || []), ...(tx.nativeTransfers || [])]
+    .some(transfer => transfer.fromUserAccount === focusAddress || transfer.toUserAccount === focusAddress);
+  return movedTokens ? focusAddress : tx.feePayer;
+}
+
+/**
+ * Tokens the trader sold (`inputs`) and bought (`outputs`) as
+ * { mint, amount, decimals } legs, where a null mint is native SOL and
+ * `amount` is in lamports for SOL and UI units for tokens. Taken from
+ * Helius' swap event when it has both sides, otherwise from the trader's net
+ * transfers per mint. Native SOL only fills a side with no token legs,
+ * since small SOL movements in a swap are usually rent and fees.
+ */
+function getSwapLegs(tx, trader) {
+  const swapEvent = tx.events?.swap;
+  if (swapEvent) {
+    const toTokenLeg = token => {
+      const decimals = token.rawTokenAmount?.decimals ?? 0;
+      return {
+        mint: token.mint,
+        amount: Number(token.rawTokenAmount?.tokenAmount || 0) / Math.pow(10, decimals),
+        decimals,
+      };
+    };
+    const toNativeLeg = native => (native && Number(native.amount) > 0
+      ? [{ mint: null, amount: Number(native.amount), decimals: 9 }]
+      : []);
+
+    const inputs = [...toNativeLeg(swapEvent.nativeInput), ...(swapEvent.tokenInputs || []).map(toTokenLeg)];
+    const outputs = [...toNativeLeg(swapEvent.nativeOutput), ...(swapEvent.tokenOutputs || []).map(toTokenLeg)];
+    if (inputs.length > 0 && outputs.length > 0) {
+      return { inputs, outputs };
+    }
+  }
+
+  const netByMint = new Map();
+  (tx.tokenTransfers || []).forEach(transfer => {
+    const sign = transfer.fromUserAccount === trader ? -1 : transfer.toUserAccount === trader ? 1 : 0;
+    if (sign === 0 || !transfer.mint) return;
+    netByMint.set(transfer.mint, (netByMint.get(transfer.mint) || 0) + sign * (transfer.tokenAmount || 0));
+  });
+
+  const legs = Array.from(netByMint.entries())
+    .filter(([, net]) => net !== 0)
+    .map(([mint, net]) => ({ mint, amount: Math.abs(net), decimals: getMintDecimals(tx, mint) ?? 0, net }));
+  const inputs = legs.filter(leg => leg.net < 0);
+  const outputs = legs.filter(leg => leg.net > 0);
+
+  const nativeNet = (tx.nativeTransfers || []).reduce((total, transfer) => {
+    if (transfer.fromUserAccount === trader) return total - (transfer.amount || 0);
+    if (transfer.toUserAccount === trader) return total + (transfer.amount || 0);
+    return total;
+  }, 0);
+  if (nativeNet < 0 && inputs.length === 0) {
+    inputs.push({ mint: null, amount: -nativeNet, decimals: 9 });
+  } else if (nativeNet > 0 && outputs.length === 0) {
+    outputs.push({ mint: null, amount: nativeNet, decimals: 9 });
+  }
+
+  const stripNet = ({ mint, amount, decimals }) => ({ mint, amount, decimals });
+  return { inputs: inputs.map(stripNet), outputs: outputs.map(stripNet) };
+}
+
+/**
+ * The DEX a swap went through, from the known entities: Helius' swap
+ * program, the transaction source (JUPITER, RAYDIUM...) or a program the
+ * transaction called. Null when none is known.
+ */
+function identifySwapDex(tx) {
+  const candidates = [
+    tx.events?.swap?.innerSwaps?.[0]?.programInfo?.account,
+    tx.source,
+    ...(tx.instructions || []).map(instruction => instruction.programId),
+  ];
+
+  for (const candidate of candidates) {
+    const entity = candidate && entityIdentifier.findKnownEntity(candidate);
+    if (entity && entity.type === 'dex') {
+      return {
+        name: entity.name,
+        description: entity.description,
+        icon: entityIdentifier.getEntityIcon(entity.type),
+        color: entityIdentifier.getEntityColor(entity.type),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Edge for one leg of a swap, between the trader and the swap node
+ */
+function createSwapEdge(leg, tx, swapId, source, target, direction, legIndex) {
+  const edge = {
+    id: `${swapId}-${direction}-${legIndex}`,
+    source,
+    target,
+    txType: tx.type,
+    txSource: tx.source || 'UNKNOWN',
+    signature: tx.signature,
+    timestamp: tx.timestamp,
+    swapId,
+    swapDirection: direction,
+    isDirectTransfer: true,
+    isRelatedTransfer: false,
+  };
+
+  if (!leg.mint) {
+    const solAmount = leg.amount / LAMPORTS_PER_SOL;
+    return {
+      ...edge,
+      type: 'SOL',
+      amount: leg.amount,
+      lamports: leg.amount,
+      solAmount,
+      uiAmount: solAmount,
+      decimals: 9,
+      tokenSymbol: 'SOL',
+      tokenName: 'Solana',
+    };
+  }
+
+  return {
+    ...edge,
+    type: 'SPL_TOKEN', // Swaps trade fungible tokens
+    amount: leg.amount,
+    mint: leg.mint,
+    tokenSymbol: null,
+    uiAmount: leg.amount,
+    decimals: leg.decimals,
+  };
+}
+
+/**
+ * Add a staking transaction. SOL deposited into stake accounts, stake
+ * delegated to a validator, deactivated or withdrawn, and SOL deposited
+ * into a liquid staking pool become STAKE edges; stake accounts and
+ * validators (their vote accounts) get their own node types. The
+ * transaction's other transfers are added as usual, with liquid staking
+ * tokens minted or burned by the pool. Returns false when the transaction
+ * does no staking.
+ */
+function processStake(tx, txIndex, nodes, edges, focusAddress, retyped) {
+  const actions = getStakeActions(tx);
+  const pool = getLiquidStakePool(tx);
+  if (actions.length === 0 && !pool) return false;
+
+  const stakeAccounts = new Set(actions.map(action => action.stakeAccount));
+  const tokenAccounts = getTokenAccountOwners(tx);
+  const stakeEdges = [];
+  const deposited = new Map();
+  const otherNativeTransfers = [];
+  let poolDeposit = 0;
+
+  (tx.nativeTransfers || []).forEach(transfer => {
+    if (stakeAccounts.has(transfer.toUserAccount)) {
+      // Funding a stake account (createAccount, or topping it up)
+      const lamports = transfer.amount || 0;
+      deposited.set(transfer.toUserAccount, (deposited.get(transfer.toUserAccount) || 0) + lamports);
+      stakeEdges.push([transfer.fromUserAccount, transfer.toUserAccount, 'deposit', lamports, {}]);
+    } else if (stakeAccounts.has(transfer.fromUserAccount)) {
+      // Withdrawals are added from the withdraw instruction below
+    } else if (pool && transfer.fromUserAccount === focusAddress && !tokenAccounts.has(transfer.toUserAccount)) {
+      // SOL into the pool's reserve; rent for the wallet's token account stays a transfer
+      poolDeposit += transfer.amount || 0;
+    } else {
+      otherNativeTransfers.push(transfer);
+    }
+  });
+
+  actions.forEach(action => {
+    const { stakeAccount, voteAccount, authority, destination } = action;
+    setStakeNode(stakeAccount, 'stake', { validator: voteAccount, authority }, nodes, focusAddress, retyped);
+
+    if (action.action === 'delegate' && voteAccount) {
+      setStakeNode(voteAccount, 'validator', null, nodes, focusAddress, retyped);
+      stakeEdges.push([stakeAccount, voteAccount, 'delegate', deposited.get(stakeAccount) ?? null, { validator: voteAccount }]);
+    } else if (action.action === 'deactivate' && authority) {
+      stakeEdges.push([authority, stakeAccount, 'deactivate', null, {}]);
+    } else if (action.action === 'withdraw' && destination) {
+      stakeEdges.push([stakeAccount, destination, 'withdraw', action.lamports ?? null, {}]);
+    }
+  });
+
+  if (pool && poolDeposit > 0) {
+    stakeEdges.push([focusAddress, pool.address, 'liquid-stake', poolDeposit, { pool: pool.name }]);
+  }
+
+  stakeEdges.forEach(([source, target, stakeAction, lamports, details], stakeIndex) => {
+    if (!source || !target) return;
+    addNodeIfNeeded(source, nodes, focusAddress);
+    addNodeIfNeeded(target, nodes, focusAddress);
+
+    const solAmount = lamports === null ? null : lamports / LAMPORTS_PER_SOL;
+    const isInputInvolved = source === focusAddress || target === focusAddress;
+    edges.push({
+      id: `stake-${source}-${target}-${tx.signature || txIndex}-${stakeIndex}`,
+      source,
+      target,
+      type: 'STAKE',
+      stakeAction,
+      txType: tx.type || 'UNKNOWN',
+      txSource: tx.source || 'UNKNOWN',
+      amount: lamports || 0,
+      lamports,
+      solAmount,
+      uiAmount: solAmount,
+      decimals: 9,
+      tokenSymbol: 'SOL',
+      tokenName: 'Solana',
+      signature: tx.signature,
+      timestamp: tx.timestamp,
+      stakeAccount: stakeAccounts.has(source) ? source : stakeAccounts.has(target) ? target : null,
+      ...details,
+      isDirectTransfer: isInputInvolved,
+      isRelatedTransfer: !isInputInvolved,
+    });
+  });
+
+  // Liquid staking tokens are minted to the depositor and burned on unstake,
+  // so the pool stands in for the missing side
+  const tokenTransfers = (tx.tokenTransfers || []).map(transfer => {
+    if (!pool) return transfer;
+    const isMint = !transfer.fromUserAccount && !transfer.fromTokenAccount;
+    const isBurn = !transfer.toUserAccount && !transfer.toTokenAccount;
+    return {
+      ...transfer,
+      ...(isMint && { fromUserAccount: pool.address }),
+      ...(isBurn && { toUserAccount: pool.address }),
+    };
+  });
+  processTransfers({ ...tx, tokenTransfers, nativeTransfers: otherNativeTransfers }, txIndex, nodes, edges, focusAddress);
+  return true;
+}
+
+/**
+ * Give a stake account or validator node its type, upgrading the wallet
+ * node already in the graph if there is one. Input wallets keep theirs.
+ * Stake account details (validator, authority) are merged as they are seen.
+ */
+function setStakeNode(address, type, details, nodes, focusAddress, retyped) {
+  if (!address || address === focusAddress) return;
+  const existing = nodes.get(address);
+  if (existing && existing.type !== 'wallet' && existing.type !== type) return;
+
+  const node = {
+    id: address,
+    label: formatAddress(address),
+    size: 40,
+    ...existing,
+    type,
+  };
+  if (details) {
+    node.stake = { ...existing?.stake };
+    Object.entries(details).forEach(([key, value]) => {
+      if (value) node.stake[key] = value;
+    });
+  }
+  nodes.set(address, node);
+  if (existing) retyped.add(address);
+}
+
+/**
+ * Process token transfers
+ */
+function processTokenTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, inputAddress, sale = null) {
+  // Owners are resolved beforehand (resolveTokenAccountOwners); a token
+  // account whose owner is unknown (closed since) stands in for it
+  const fromAddress = transfer.fromUserAccount || transfer.fromTokenAccount;
+  const toAddress = transfer.toUserAccount || transfer.toTokenAccount;
+  
+  // Include ALL transfers in transactions where the input address is involved
+  // This captures royalties, fees, and other related transfers
+  const isInputInvolved = fromAddress === inputAddress || toAddress === inputAddress;
+  const isInputInTransaction = tx.accountData?.some(account => account.account === inputAddress);
+  
+  if (isInputInvolved || isInputInTransaction) {
+    addNodeIfNeeded(fromAddress, nodes, inputAddress);
+    addNodeIfNeeded(toAddress, nodes, inputAddress);
+
+    if (fromAddress && toAddress) {
+      const decimals = transfer.uiTokenAmount?.decimals ?? getMintDecimals(tx, transfer.mint);
+      const { type, inferred } = getTransactionType(transfer, tx, decimals);
+      const withheld = getWithheldTransferFee(transfer, tx, decimals);
+      // The sale price belongs on the NFT leg(s) the buyer received
+      const isSoldNft = sale && type === 'NFT' &&
+        (sale.mints.length === 0 || sale.mints.includes(transfer.mint));
+      edges.push({
+        id: `${fromAddress}-${toAddress}-${tx.signature || txIndex}-${transferIndex}`,
+        source: fromAddress,
+        target: toAddress,
+        type,
+        txType: tx.type || 'UNKNOWN',
+        txSource: tx.source || 'UNKNOWN',
+        amount: transfer.tokenAmount || 0,
+        mint: transfer.mint,
+        signature: tx.signature,
+        timestamp: tx.timestamp,
+        tokenSymbol: transfer.tokenSymbol || null,
+        uiAmount: transfer.uiTokenAmount?.uiAmount || transfer.tokenAmount,
+        decimals: decimals ?? 0,
+        fromTokenAccount: transfer.fromTokenAccount || null,
+        toTokenAccount: transfer.toTokenAccount || null,
+        isDirectTransfer: isInputInvolved,
+        isRelatedTransfer: isInputInTransaction && !isInputInvolved,
+        ...(isSoldNft && { sale }),
+        ...(inferred && { typeInferred: true }),
+        ...withheld,
+      });
+    }
+  }
+}
+
+/**
+ * Token-2022 transfer fee withheld from a transfer, as
+ * { transferFee, receivedAmount } in whole tokens, or null when none was.
+ * The fee is what was sent minus what the destination account gained, so it
+ * is only worked out when that account took part in no other transfer.
+ */
+function getWithheldTransferFee(transfer, tx, decimals) {
+  if (!transfer.toTokenAccount || decimals === null || !usesToken2022(tx)) return null;
+
+  const transfers = tx.tokenTransfers || [];
+  const inbound = transfers.filter(entry => entry.toTokenAccount === transfer.toTokenAccount);
+  const outbound = transfers.filter(entry => entry.fromTokenAccount === transfer.toTokenAccount);
+  if (inbound.length !== 1 || outbound.length > 0) return null;
+
+  const change = (tx.accountData || [])
+    .flatMap(account => account.tokenBalanceChanges || [])
+    .find(entry => entry.tokenAccount === transfer.toTokenAccount && entry.mint === transfer.mint);
+  if (!change) return null;
+
+  const scale = Math.pow(10, decimals);
+  const sent = Math.round(Number(transfer.tokenAmount) * scale);
+  const received = Number(change.rawTokenAmount?.tokenAmount);
+  if (Number.isNaN(received) || received <= 0 || sent <= received) return null;
+
+  return {
+    transferFee: (sent - received) / scale,
+    receivedAmount: received / scale,
+  };
+}
+
+/**
+ * Whether the transaction called the Token-2022 program, directly or by CPI
+ */
+function usesToken2022(tx) {
+  return (tx.instructions || []).some(instruction =>
+    instruction.programId === TOKEN_2022_PROGRAM_ID ||
+    (instruction.innerInstructions || []).some(inner => inner.programId === TOKEN_2022_PROGRAM_ID)
+  );
+}
+
+/**
+ * Process native SOL transfers
+ */
+function processNativeTransfer(transfer, tx, txIndex, transferIndex, nodes, edges, inputAddress) {
+  const fromAddress = transfer.fromUserAccount;
+  const toAddress = transfer.toUserAccount;
+  const lamports = transfer.amount || 0;
+
+  if (lamports === 0) return;
+
+  // Same inclusion rule as token transfers, so sale proceeds, royalties
+  // and fees paid in SOL show up next to the NFT or token leg
+  const isInputInvolved = fromAddress === inputAddress || toAddress === inputAddress;
+  const isInputInTransaction = tx.accountData?.some(account => account.account === inputAddress);
+
+  if (isInputInvolved || isInputInTransaction) {
+    addNodeIfNeeded(fromAddress, nodes, inputAddress);
+    addNodeIfNeeded(toAddress, nodes, inputAddress);
+
+    if (fromAddress && toAddress) {
+      const solAmount = lamports / LAMPORTS_PER_SOL;
+      edges.push({
+        // Prefixed so it cannot collide with a token leg at the same index
+        id: `sol-${fromAddress}-${toAddress}-${tx.signature || txIndex}-${transferIndex}`,
+        source: fromAddress,
+        target: toAddress,
+        type: 'SOL',
+        txType: tx.type || 'UNKNOWN',
+        txSource: tx.source || 'UNKNOWN',
+        amount: lamports,
+        lamports,
+        solAmount,
+        uiAmount: solAmount,
+        decimals: 9,
+        tokenSymbol: 'SOL',
+        tokenName: 'Solana',
+        signature: tx.signature,
+        timestamp: tx.timestamp,
+        isDirectTransfer: isInputInvolved,
+        isRelatedTransfer: isInputInTransaction && !isInputInvolved,
+      });
+    }
+  }
+}
+
+/**
+ * Add node if it doesn't exist
+ */
+function addNodeIfNeeded(address, nodes, inputAddress) {
+  if (address && address !== inputAddress && !nodes.has(address)) {
+    nodes.set(address, {
+      id: address,
+      label: formatAddress(address),
+      type: 'wallet',
+      size: 40,
+    });
+  }
+}
+
+/**
+ * Classify a token transfer as 'NFT' or 'SPL_TOKEN', as { type, inferred }.
+ * The token standard is used when the provider reports it, then the mints
+ * listed by Helius' NFT event; a divisible mint is always fungible (so
+ * 1 USDC is not an NFT). Only when none of these say is a single indivisible
+ * token (or a single token moved by an NFT_ transaction) guessed to be an
+ * NFT; such results are `inferred` and settled by the mint's supply once
+ * token metadata arrives (see settleInferredType).
+ */
+function getTransactionType(transfer, tx, decimals) {
+  if (transfer.tokenStandard) {
+    return { type: NFT_TOKEN_STANDARDS.includes(transfer.tokenStandard) ? 'NFT' : 'SPL_TOKEN', inferred: false };
+  }
+
+  if ((tx.events?.nft?.nfts || []).some(nft => nft.mint === transfer.mint)) {
+    return { type: 'NFT', inferred: false };
+  }
+
+  if (decimals !== null && decimals > 0) {
+    return { type: 'SPL_TOKEN', inferred: false };
+  }
+
+  const isSingleToken = transfer.tokenAmount === 1 || transfer.uiTokenAmount?.uiAmount === 1;
+  const isNft = isSingleToken && (decimals === 0 || tx.type?.startsWith('NFT_'));
+  return { type: isNft ? 'NFT' : 'SPL_TOKEN', inferred: true };
+}
+
+/**
+ * Settle a type guessed by getTransactionType with the mint's metadata: an
+ * NFT has no decimals and a supply of one. Edges whose metadata lacks
+ * either stay as guessed.
+ */
+function settleInferredType(edge) {
+  const { decimals, supply } = edge.tokenMetadata || {};
+  if (!edge.typeInferred || [decimals, supply].some(value => value === undefined || value === null)) return;
+
+  const isNft = Number(decimals) === 0 && Number(supply) === 1;
+  edge.type = isNft ? 'NFT' : 'SPL_TOKEN';
+  if (!isNft) delete edge.sale;
+  delete edge.typeInferred;
+}
+
+/**
+ * Decimals of `mint` from the transaction's token balance changes, null
+ * when the transaction does not say
+ */
+function getMintDecimals(tx, mint) {
+  for (const account of tx.accountData || []) {
+    const change = (account.tokenBalanceChanges || []).find(entry => entry.mint === mint);
+    if (change && change.rawTokenAmount?.decimals !== undefined) {
+      return change.rawTokenAmount.decimals;
+    }
+  }
+  return null;
+}
+
+/**
+ * Format wallet address for display
+ */
+function formatAddress(address) {
+  if (!address) return '';
+  return `${address.slice(0, 4)}...${address.slice(-4)}`;
+} 
\ No newline at end of file
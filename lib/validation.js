@@ -0,0 +1,26 @@
+/**
+ * Input formats and limits shared by the API routes and the browser, so the
+ * two cannot disagree. Components import this module, so it must not import
+ * server-only code.
+ */
+
+export const solanaAddressRegex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Transaction signatures are longer than any wallet address
+export const signatureRegex = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+// Default and allowed range of MAX_INPUT_ADDRESSES, the wallets that can be
+// compared in one graph. lib/config.js validates it with these.
+export const INPUT_ADDRESS_LIMITS = { default: 10, min: 1, max: 50 };
+
+/**
+ * Wallets the browser lets you compare at once. MAX_INPUT_ADDRESSES is
+ * inlined at build time by next.config.js and read the same way as
+ * getConfig().input.maxAddresses on the server: anything but an integer in
+ * range means the default.
+ */
+export function getMaxInputAddresses() {
+  const value = Number(process.env.MAX_INPUT_ADDRESSES);
+  const { default: fallback, min, max } = INPUT_ADDRESS_LIMITS;
+  return Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+}
@@ -8,6 +8,8 @@ const nextConfig = {
     HELIUS_API_KEY: process.env.HELIUS_API_KEY,
     UPSTASH_REDIS_REST_URL: process.env.UPSTASH_REDIS_REST_URL,
     UPSTASH_REDIS_REST_TOKEN: process.env.UPSTASH_REDIS_REST_TOKEN,
+    // Read by the browser through lib/validation.js
+    MAX_INPUT_ADDRESSES: process.env.MAX_INPUT_ADDRESSES,
   },
   // Security headers
   async headers() {
@@ -0,0 +1,9 @@
+import Explorer from '../../components/Explorer';
+
+/**
+ * Permalink for one wallet, or several comma-separated wallets to compare:
+ * /address/[address]?range=7d&traffic=incoming&depth=2&expand=addr1,addr2
+ */
+export default function AddressPage() {
+  return <Explorer view="address" />;
+}
@@ -0,0 +1,102 @@
+import { applyRateLimit, getClientIP, getRequestCost } from '../../lib/ratelimit';
+import { getConfig } from '../../lib/config';
+import { getProvider } from '../../lib/provider';
+import { applySecurityHeaders, validateGraphRequest, getErrorResponse } from '../../lib/api-utils';
+import { crawlGraph, enrichGraph, enhanceTokenMetadata } from '../../lib/transaction-processor';
+import { createRequestDeadline } from '../../lib/deadline';
+import { createLogger, withRequestLogging } from '../../lib/logger';
+
+const log = createLogger('api/graph');
+
+/**
+ * Multi-hop graph crawl: breadth-first from a root address up to `depth`
+ * hops, following at most `fanOut` counterparties per address and reading
+ * at most `txLimit` transactions per address. Returns one merged graph with
+ * every node tagged by its hop distance from the root.
+ */
+async function handler(req, res) {
+  if (applySecurityHeaders(req, res, ['POST'])) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  try {
+    const { crawl: limits } = getConfig();
+    const request = validateGraphRequest(req.body, limits);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    // Rate limit by what the request will fetch
+    if (await applyRateLimit(req, res, 'graph', getRequestCost('graph', request))) {
+      return;
+    }
+
+    // Check the data provider is configured (logs what is missing)
+    if (!getProvider()) {
+      return res.status(500).json({
+        error: 'API configuration error. Please try again later.'
+      });
+    }
+
+    const { address, timeRange, depth, fanOut, txLimit } = request;
+    const startTime = Date.now();
+    // One time budget for the crawl and enrichment, so a wide crawl returns
+    // a partial graph instead of timing out
+    const deadline = createRequestDeadline();
+    log.info('Graph crawl requested', { ip: clientIP, address, depth, fanOut, txLimit });
+
+    const { graph, crawled, errors } = await crawlGraph(address, {
+      depth,
+      fanOut,
+      txLimit,
+      timeRange,
+      maxAddresses: limits.maxAddresses,
+      deadline
+    });
+    const crawlEndTime = Date.now();
+    log.debug('Crawl completed', { addresses: crawled.length, edges: graph.edges.length, durationMs: crawlEndTime - startTime });
+
+    const enrichedData = await enrichGraph(graph, { deadline });
+    const enhancedData = await enhanceTokenMetadata(enrichedData, { deadline });
+    const totalEndTime = Date.now();
+
+    return res.status(200).json({
+      ...enhancedData,
+      degraded: deadline.degraded,
+      crawl: {
+        root: address,
+        depth,
+        fanOut,
+        txLimit,
+        timeRange,
+        addresses: crawled,
+        errors,
+        truncated: crawled.length >= limits.maxAddresses || deadline.degraded.some(entry => entry.stage === 'crawl')
+      },
+      requestInfo: {
+        address,
+        timestamp: new Date().toISOString(),
+        performance: {
+          totalTime: totalEndTime - startTime,
+          crawlTime: crawlEndTime - startTime,
+          enhanceTime: totalEndTime - crawlEndTime
+        }
+      }
+    });
+
+  } catch (error) {
+    log.error('Graph request failed', {
+      error: error.message,
+      stack: error.stack,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    const { status, body } = getErrorResponse(error);
+    return res.status(status).json(body);
+  }
+}
+
+export default withRequestLogging(handler);
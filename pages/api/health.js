@@ -0,0 +1,39 @@
+import { applyRateLimit } from '../../lib/ratelimit';
+import { applySecurityHeaders } from '../../lib/api-utils';
+import { checkHealth, isAdminToken } from '../../lib/health';
+import { withRequestLogging } from '../../lib/logger';
+
+/**
+ * Health check for uptime monitors: configuration, cache backend and data
+ * provider configuration, plus the deployed version. Responds 200 when every
+ * check passes and 503 otherwise; no wallet data is read. Rate limited, since
+ * every request pings the cache.
+ *
+ * `?detailed=true` also pings the data provider and adds latencies, error
+ * messages and cache statistics. It needs
+ * `Authorization: Bearer <HEALTH_ADMIN_TOKEN>`.
+ */
+async function handler(req, res) {
+  if (applySecurityHeaders(req, res, ['GET'])) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (await applyRateLimit(req, res, 'health')) {
+    return;
+  }
+
+  const detailed = req.query.detailed === 'true';
+  if (detailed) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!isAdminToken(token)) {
+      return res.status(401).json({ error: 'Admin token required for the detailed health report' });
+    }
+  }
+
+  const report = await checkHealth({ detailed });
+  return res.status(report.status === 'ok' ? 200 : 503).json(report);
+}
+
+export default withRequestLogging(handler);
@@ -0,0 +1,293 @@
+import { applyRateLimit, getClientIP, getRequestCost } from '../../../lib/ratelimit';
+import { getConfig } from '../../../lib/config';
+import { getProvider } from '../../../lib/provider';
+import { applySecurityHeaders, validateTransactionRequest, getErrorResponse } from '../../../lib/api-utils';
+import {
+  fetchTransactionHistory,
+  filterByTimeRange,
+  createGraph,
+  addTransactionsToGraph,
+  findSharedCounterparties,
+  enrichGraph,
+  enhanceTokenMetadata,
+  buildTransactionGraph
+} from '../../../lib/transaction-processor';
+import { getGraphCacheKey, getCachedGraph, setCachedGraph, revalidateGraph } from '../../../lib/graph-cache';
+import { createRequestDeadline } from '../../../lib/deadline';
+import { createLogger, withRequestLogging } from '../../../lib/logger';
+
+const log = createLogger('api/transactions/stream');
+
+/**
+ * Streaming variant of /api/transactions using Server-Sent Events.
+ *
+ * Events, in order:
+ * - start:    { address, addresses, timeRange, nodes } with the input wallet nodes
+ * - page:     { address, page, fetched, filtered, nodes, edges } added by each Helius page;
+ *             nodes already sent come again when their type changed (stake accounts)
+ * - shared:   { sharedCounterparties, nodes } when comparing several wallets
+ * - entities: { entityInfo, nodes } patches carrying resolved entities
+ * - tokens:   { tokenMetadata, edges } patches carrying token metadata and USD values
+ * - done:     { progressiveLoading, degraded, requestInfo } where `degraded`
+ *             lists the stages cut short by the request deadline
+ * - error:    { status, error, ... } after which the stream ends
+ *
+ * A cached graph is replayed through the same events as a single page, so
+ * clients handle both the same way; `requestInfo.cache` tells them apart.
+ */
+async function handler(req, res) {
+  if (applySecurityHeaders(req, res, ['POST'])) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  const request = validateTransactionRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  // Rate limit by what the request will fetch
+  if (await applyRateLimit(req, res, 'transactions', getRequestCost('transactions', request))) {
+    return;
+  }
+
+  // Check the data provider is configured (logs what is missing)
+  if (!getProvider()) {
+    return res.status(500).json({
+      error: 'API configuration error. Please try again later.'
+    });
+  }
+
+  const { address, addresses, timeRange, cursor, until } = request;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Stop paginating once the client goes away
+  let clientClosed = false;
+  req.on('close', () => {
+    clientClosed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const startTime = Date.now();
+  const deadline = createRequestDeadline();
+  log.info('Streaming transactions', { ip: clientIP, addresses, timeRange });
+
+  try {
+    const cacheKey = getGraphCacheKey(request);
+    const cached = await getCachedGraph(cacheKey);
+    if (cached.status !== 'miss') {
+      replayCachedGraph(sendEvent, request, cached, startTime);
+      if (cached.status === 'stale') {
+        revalidateGraph(cacheKey, async () => (await buildTransactionGraph(request, { deadline: createRequestDeadline() })).data);
+      }
+      return res.end();
+    }
+
+    const graph = createGraph(addresses);
+    const wallets = [];
+
+    sendEvent('start', {
+      address,
+      addresses,
+      timeRange,
+      nodes: Array.from(graph.nodes.values())
+    });
+
+    // Build the graph page by page as Helius responds, one wallet at a time
+    const { pagination, deadline: { enrichmentReserveMs } } = getConfig();
+    for (const walletAddress of addresses) {
+      if (clientClosed) break;
+      if (wallets.length > 0 && deadline.remaining() < enrichmentReserveMs) {
+        deadline.degrade('history', `Skipped ${addresses.length - wallets.length} of ${addresses.length} wallets to stay within the request deadline`);
+        break;
+      }
+
+      let filteredCount = 0;
+      const history = await fetchTransactionHistory(walletAddress, {
+        timeRange,
+        before: cursor,
+        until,
+        pageSize: pagination.pageSize,
+        maxPages: pagination.maxPages,
+        shouldStop: () => clientClosed,
+        deadline,
+        onPage: (page, pageNumber) => {
+          const inRange = filterByTimeRange(page, timeRange);
+          filteredCount += inRange.length;
+
+          const added = addTransactionsToGraph(graph, inRange, walletAddress);
+          sendEvent('page', {
+            address: walletAddress,
+            page: pageNumber,
+            fetched: page.length,
+            filtered: inRange.length,
+            nodes: added.nodes,
+            edges: added.edges
+          });
+        }
+      });
+      wallets.push({ history, filteredCount });
+    }
+    const heliusEndTime = Date.now();
+
+    if (clientClosed) {
+      return res.end();
+    }
+
+    const sharedCounterparties = findSharedCounterparties(graph);
+    if (addresses.length > 1) {
+      sendEvent('shared', {
+        sharedCounterparties,
+        nodes: sharedCounterparties.map(entry => ({ id: entry.address, sharedBy: entry.inputs }))
+      });
+    }
+
+    // Entity resolution, sent as patches on the nodes already streamed
+    const enriched = await enrichGraph(graph, { deadline });
+    sendEvent('entities', {
+      entityInfo: enriched.entityInfo,
+      nodes: enriched.nodes
+        .filter(node => node.entity)
+        .map(node => ({ id: node.id, entity: node.entity }))
+    });
+    const processEndTime = Date.now();
+
+    // Token metadata and USD values, sent as patches on the edges already streamed
+    const enhanced = await enhanceTokenMetadata(enriched, { deadline });
+    sendEvent('tokens', {
+      tokenMetadata: enhanced.tokenMetadata,
+      edges: enhanced.edges
+        .filter(edge => edge.mint || edge.assetId || edge.usdValue !== undefined)
+        .map(edge => ({
+          id: edge.id,
+          // Settled from the mint's supply when it was guessed from the amount
+          type: edge.type,
+          sale: edge.sale || null,
+          tokenSymbol: edge.tokenSymbol,
+          tokenName: edge.tokenName,
+          tokenLogo: edge.tokenLogo,
+          tokenMetadata: edge.tokenMetadata,
+          usdPrice: edge.usdPrice,
+          usdValue: edge.usdValue
+        }))
+    });
+    const totalEndTime = Date.now();
+
+    // Cursors only apply to a single wallet
+    const nextCursor = wallets.length === 1 ? wallets[0].history.nextCursor : null;
+    const progressiveLoading = {
+      hasMoreData: !!nextCursor,
+      nextCursor,
+      pagesFetched: wallets.reduce((total, wallet) => total + wallet.history.pagesFetched, 0),
+      totalFetched: wallets.reduce((total, wallet) => total + wallet.history.transactions.length, 0),
+      filteredCount: wallets.reduce((total, wallet) => total + wallet.filteredCount, 0),
+      timeRange,
+      canExpand: wallets.every(wallet => wallet.history.windowCovered)
+    };
+
+    // Same shape /api/transactions caches, so either route can serve it
+    await setCachedGraph(cacheKey, {
+      ...enhanced,
+      inputAddresses: addresses,
+      sharedCounterparties,
+      degraded: deadline.degraded,
+      progressiveLoading
+    });
+
+    log.info('Transactions streamed', {
+      nodes: enhanced.nodes.length,
+      edges: enhanced.edges.length,
+      degraded: deadline.degraded.map(entry => entry.stage),
+      durationMs: totalEndTime - startTime
+    });
+
+    sendEvent('done', {
+      progressiveLoading,
+      degraded: deadline.degraded,
+      requestInfo: {
+        address,
+        addresses,
+        timestamp: new Date().toISOString(),
+        cache: 'miss',
+        cachedAt: null,
+        performance: {
+          totalTime: totalEndTime - startTime,
+          heliusTime: heliusEndTime - startTime,
+          processTime: processEndTime - heliusEndTime,
+          enhanceTime: totalEndTime - processEndTime
+        }
+      }
+    });
+  } catch (error) {
+    log.error('Transaction stream failed', {
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    const { status, body } = getErrorResponse(error);
+    sendEvent('error', { status, ...body });
+  }
+
+  res.end();
+}
+
+export default withRequestLogging(handler);
+
+/**
+ * Send a cached graph as one page followed by its shared counterparties,
+ * entities and token metadata
+ */
+function replayCachedGraph(sendEvent, { address, addresses, timeRange }, cached, startTime) {
+  const { data } = cached;
+  const inputAddresses = new Set(addresses);
+
+  sendEvent('start', {
+    address,
+    addresses,
+    timeRange,
+    nodes: data.nodes.filter(node => inputAddresses.has(node.id))
+  });
+  sendEvent('page', {
+    address,
+    page: 1,
+    fetched: data.progressiveLoading.totalFetched,
+    filtered: data.progressiveLoading.filteredCount,
+    nodes: data.nodes.filter(node => !inputAddresses.has(node.id)),
+    edges: data.edges
+  });
+  if (addresses.length > 1) {
+    sendEvent('shared', {
+      sharedCounterparties: data.sharedCounterparties,
+      nodes: data.sharedCounterparties.map(entry => ({ id: entry.address, sharedBy: entry.inputs }))
+    });
+  }
+  sendEvent('entities', { entityInfo: data.entityInfo, nodes: [] });
+  sendEvent('tokens', { tokenMetadata: data.tokenMetadata, edges: [] });
+  sendEvent('done', {
+    progressiveLoading: data.progressiveLoading,
+    degraded: [],
+    requestInfo: {
+      address,
+      addresses,
+      timestamp: new Date().toISOString(),
+      cache: cached.status,
+      cachedAt: cached.cachedAt,
+      performance: {
+        totalTime: Date.now() - startTime
+      }
+    }
+  });
+}
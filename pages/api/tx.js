@@ -0,0 +1,111 @@
+import { applyRateLimit, getClientIP } from '../../lib/ratelimit';
+import { getConfig } from '../../lib/config';
+import { getProvider } from '../../lib/provider';
+import { applySecurityHeaders, validateSignatureRequest, getErrorResponse } from '../../lib/api-utils';
+import {
+  createGraph,
+  addTransactionsToGraph,
+  enrichGraph,
+  enhanceTokenMetadata,
+  resolveTokenAccountOwners
+} from '../../lib/transaction-processor';
+import { createRequestDeadline } from '../../lib/deadline';
+import { createLogger, withRequestLogging } from '../../lib/logger';
+
+const log = createLogger('api/tx');
+
+/**
+ * Single transaction view: every transfer in one transaction as a graph
+ * centred on its fee payer, for the /tx/[signature] permalink page
+ */
+async function handler(req, res) {
+  if (applySecurityHeaders(req, res, ['POST'])) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  try {
+    const request = validateSignatureRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    // Check rate limiting
+    if (await applyRateLimit(req, res, 'tx')) {
+      return;
+    }
+
+    const provider = getProvider();
+    if (!provider) {
+      return res.status(500).json({
+        error: 'API configuration error. Please try again later.'
+      });
+    }
+
+    const { signature } = request;
+    const startTime = Date.now();
+    // One time budget for the lookup and enrichment, so a slow provider
+    // degrades the graph instead of holding the request open
+    const deadline = createRequestDeadline();
+    log.info('Transaction requested', { ip: clientIP, signature });
+
+    const tx = await provider.getTransaction(signature, { timeout: deadline.timeout(getConfig().timeouts.transaction) });
+    if (!tx || !tx.feePayer) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    await resolveTokenAccountOwners([tx], { deadline });
+
+    // The fee payer signs the transaction and appears in its account list,
+    // so every transfer in it is kept
+    const graph = createGraph(tx.feePayer);
+    addTransactionsToGraph(graph, [tx]);
+
+    const enrichedData = await enrichGraph(graph, { deadline });
+    const enhancedData = await enhanceTokenMetadata(enrichedData, { deadline });
+
+    log.info('Transaction served', {
+      edges: enhancedData.edges?.length || 0,
+      degraded: deadline.degraded.map(entry => entry.stage),
+      durationMs: Date.now() - startTime
+    });
+
+    return res.status(200).json({
+      ...enhancedData,
+      inputAddresses: graph.inputAddresses,
+      degraded: deadline.degraded,
+      transaction: {
+        signature: tx.signature,
+        timestamp: tx.timestamp,
+        slot: tx.slot,
+        type: tx.type,
+        source: tx.source,
+        description: tx.description,
+        fee: tx.fee,
+        feePayer: tx.feePayer,
+        transactionError: tx.transactionError || null
+      },
+      requestInfo: {
+        signature,
+        timestamp: new Date().toISOString(),
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      }
+    });
+
+  } catch (error) {
+    log.error('Transaction request failed', {
+      error: error.message,
+      stack: error.stack,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    const { status, body } = getErrorResponse(error);
+    return res.status(status).json(body);
+  }
+}
+
+export default withRequestLogging(handler);
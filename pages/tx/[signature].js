@@ -0,0 +1,8 @@
+import Explorer from '../../components/Explorer';
+
+/**
+ * Permalink for a single transaction: /tx/[signature]?traffic=outgoing&expand=addr1
+ */
+export default function TransactionPage() {
+  return <Explorer view="tx" />;
+}